@@ -1,76 +1,319 @@
-// ========== UTILITY: UNIT CONVERSION HELPERS ==========
+// ========== CONSTANTS ==========
+const LAMINAR_REYNOLDS_LIMIT   = 2300;
+const TURBULENT_REYNOLDS_LIMIT = 4000;
+const STANDARD_GRAVITY         = 9.80665; // m/s²
+const DEFAULT_FLUID            = "Shell Tellus S2 MX 46";
+const OIL_SPECIFIC_HEAT        = 1880;    // J/(kg·K), typical mineral hydraulic oil
+const OIL_BULK_MODULUS         = 1.8e9;   // Pa, typical mineral hydraulic oil without air
+
+// ========== UTILITY: QUANTITY I/O HELPERS ==========
 
 /**
- * Convert a value from any supported unit to its SI base unit.
- * SI base units: length → m, area → m^2, velocity → m/s,
- *                flow → m^3/s, density → kg/m^3, dynVisc → Pa*s
+ * Read a numeric input and its unit <select> as a Quantity (unit_converter.js).
+ * The input may carry an uncertainty: "46 ± 2", "46 +/- 2" or "46 ±10%".
  *
- * @param {number} value
- * @param {string} fromUnit
- * @param {string} siUnit - SI target unit string
- * @returns {number} Value in SI units
+ * @param {HTMLInputElement} inputEl
+ * @param {HTMLSelectElement} unitEl
+ * @returns {Quantity|null} null if the input is empty or not a number
  */
-function toSIUnit(value, fromUnit, siUnit) {
-  try {
-    return convertUnit(fromUnit, siUnit, value);
-  } catch {
-    return value;
-  }
+function readQuantity(inputEl, unitEl) {
+  const measurement = parseMeasurement(inputEl.value);
+  return measurement ? new Quantity(measurement.value, unitEl.value, measurement.uncertainty) : null;
 }
 
 /**
- * Convert a value from an SI base unit to any target unit.
+ * Write a Quantity into an input, expressed in the unit selected next to it,
+ * with significant figures and "± u" when it carries an uncertainty.
  *
- * @param {number} value - Value in SI units
- * @param {string} siUnit - SI source unit string
- * @param {string} toUnit
- * @returns {number} Value in target unit
+ * @param {HTMLInputElement} inputEl
+ * @param {HTMLSelectElement} unitEl
+ * @param {Quantity} quantity - Any quantity compatible with the selected unit
  */
-function fromSIUnit(value, siUnit, toUnit) {
-  try {
-    return convertUnit(siUnit, toUnit, value);
-  } catch {
-    return value;
+function writeQuantity(inputEl, unitEl, quantity) {
+  const converted = quantity.to(unitEl.value);
+  inputEl.value = formatSignificant(converted.value, converted.uncertainty);
+}
+
+/**
+ * Re-express an input's value (and uncertainty) after its unit <select> changed.
+ * The previous unit is kept in unitEl.dataset.old.
+ *
+ * @param {HTMLInputElement} inputEl
+ * @param {HTMLSelectElement} unitEl
+ */
+function convertInputUnit(inputEl, unitEl) {
+  const measurement = parseMeasurement(inputEl.value);
+  if (measurement) {
+    writeQuantity(inputEl, unitEl, new Quantity(measurement.value, unitEl.dataset.old, measurement.uncertainty));
   }
+  unitEl.dataset.old = unitEl.value;
+}
+
+/**
+ * Flow area of a circular bore, A = π(D/2)²
+ *
+ * @param {Quantity} diameter
+ * @returns {Quantity} Area
+ */
+function circleArea(diameter) {
+  return diameter.divide(2).pow(2).multiply(Math.PI);
 }
 
 /**
  * Populate a <select> element with all units for a given unit type.
  * Uses getAvailableUnits() and getUnitDisplayName() from unit_converter.js.
+ * The pre-selected unit follows the site-wide unit system (getPreferredUnit);
+ * if that differs from defaultUnit, valueEl's initial value is converted to match.
  *
  * @param {HTMLSelectElement} selectEl
  * @param {string} unitType - e.g. "length", "flow", "dynamic viscosity"
- * @param {string} [defaultUnit] - Unit to pre-select
+ * @param {string} [defaultUnit] - Page default unit
+ * @param {HTMLInputElement} [valueEl] - Input whose initial value is in defaultUnit
  */
-function populateUnitSelect(selectEl, unitType, defaultUnit) {
+function populateUnitSelect(selectEl, unitType, defaultUnit, valueEl) {
   const units = getAvailableUnits(unitType);
   selectEl.innerHTML = '';
   units.forEach(u => {
     const label = getUnitDisplayName(u);
     selectEl.add(new Option(label, u));
   });
-  if (defaultUnit && units.includes(defaultUnit)) {
-    selectEl.value = defaultUnit;
+  const unit = defaultUnit ? getPreferredUnit(unitType, defaultUnit) : undefined;
+  if (unit && units.includes(unit)) {
+    selectEl.value = unit;
+  }
+  const value = valueEl ? parseLocaleNumber(valueEl.value) : NaN;
+  if (unit !== defaultUnit && Number.isFinite(value) && value !== 0) {
+    valueEl.value = formatLocaleInput(Number(convertUnit(defaultUnit, unit, value).toPrecision(4)));
+  }
+}
+
+/**
+ * Cross-section shapes and the dimensions each one needs.
+ */
+const CROSS_SECTION_SHAPES = {
+  circle:    { name: "Circle",                    dims: ["diameter"] },
+  rectangle: { name: "Rectangle / slot",          dims: ["width", "height"] },
+  annulus:   { name: "Annulus",                   dims: ["outer", "inner"] },
+  custom:    { name: "Custom area and perimeter", dims: ["area", "perimeter"] }
+};
+
+/**
+ * Flow area, wetted perimeter and hydraulic diameter Dh = 4A/P of a channel.
+ * Dh equals D for a circle and Do − Di for an annulus.
+ *
+ * @param {'circle'|'rectangle'|'annulus'|'custom'} shape - Key of CROSS_SECTION_SHAPES
+ * @param {Object<string, Quantity>} dims - diameter | width, height | outer, inner | area, perimeter
+ * @returns {{ area: Quantity, perimeter: Quantity, hydraulicDiameter: Quantity }|null}
+ *   null if the dimensions do not describe an open section
+ */
+function crossSection(shape, dims) {
+  let area, perimeter;
+  switch (shape) {
+    case "circle":
+      if (!(dims.diameter.value > 0)) return null;
+      area = circleArea(dims.diameter);
+      perimeter = dims.diameter.multiply(Math.PI);
+      break;
+    case "rectangle":
+      if (!(dims.width.value > 0 && dims.height.value > 0)) return null;
+      area = dims.width.multiply(dims.height);
+      perimeter = dims.width.add(dims.height).multiply(2);
+      break;
+    case "annulus":
+      if (!(dims.inner.value >= 0) || dims.outer.subtract(dims.inner).value <= 0) return null;
+      area = circleArea(dims.outer).subtract(circleArea(dims.inner));
+      perimeter = dims.outer.add(dims.inner).multiply(Math.PI);
+      break;
+    case "custom":
+      if (!(dims.area.value > 0 && dims.perimeter.value > 0)) return null;
+      ({ area, perimeter } = dims);
+      break;
+    default:
+      throw new Error(`Unknown cross-section shape: ${shape}`);
+  }
+  return { area, perimeter, hydraulicDiameter: area.multiply(4).divide(perimeter) };
+}
+
+/**
+ * Fill a <select> with the fluids known to OilProps (getOilProperties.js).
+ *
+ * @param {HTMLSelectElement} selectEl
+ * @param {string} [defaultFluid] - Pre-selected if present in the dataset
+ * @returns {Promise<boolean>} false if the fluid data could not be loaded
+ */
+async function populateFluidSelect(selectEl, defaultFluid) {
+  if (typeof OilProps === "undefined") {
+    console.warn("populateFluidSelect: getOilProperties.js is not loaded");
+    return false;
+  }
+  try {
+    await OilProps.loadFluidData();
+  } catch (e) {
+    console.warn("Could not load fluids", e);
+    return false;
+  }
+  const fluids = OilProps.getFluidNames();
+  selectEl.innerHTML = '';
+  fluids.forEach(name => selectEl.add(new Option(name, name)));
+  if (defaultFluid && fluids.includes(defaultFluid)) {
+    selectEl.value = defaultFluid;
   }
+  return true;
+}
+
+/**
+ * Prefill inputs from URL query parameters, e.g. the Tank Visualizer's ?tw=1.2&twu=m.
+ * Values use a plain "." decimal; units not offered by the select are ignored.
+ *
+ * @param {Array<[string, string, HTMLInputElement, HTMLSelectElement]>} fields - [valueKey, unitKey, input, unit select]
+ */
+function prefillFromUrl(fields) {
+  const params = new URLSearchParams(window.location.search);
+  fields.forEach(([key, unitKey, inputEl, unitEl]) => {
+    const value = parseFloat(params.get(key));
+    if (!Number.isFinite(value)) return;
+    inputEl.value = formatLocaleInput(value);
+    const unit = params.get(unitKey);
+    if (unit && Array.from(unitEl.options).some(o => o.value === unit)) unitEl.value = unit;
+  });
+}
+
+/**
+ * Classify a Reynolds number into a flow regime.
+ * Re < 2300 → Laminar, 2300 ≤ Re ≤ 4000 → Transitional, Re > 4000 → Turbulent
+ *
+ * @param {number} Re
+ * @returns {{ text: string, regime: 'laminar'|'transitional'|'turbulent' }}
+ */
+function classifyFlowRegime(Re) {
+  if (Re < LAMINAR_REYNOLDS_LIMIT) return { text: "Laminar", regime: "laminar" };
+  if (Re <= TURBULENT_REYNOLDS_LIMIT) return { text: "Transitional", regime: "transitional" };
+  return { text: "Turbulent", regime: "turbulent" };
 }
 
 // ========== PIPE VELOCITY CALCULATOR ==========
 // Solves V = Q / A, where A = π(D/2)²
 // Diameter or flow edited → recompute velocity
 // Velocity edited → recompute flow (diameter is the fixed geometry)
+// Sizing mode: check V against the line type's limits and pick the smallest catalog size that meets them
+
+/**
+ * Recommended flow velocity ranges by hydraulic line type, in m/s.
+ */
+const LINE_VELOCITY_LIMITS = {
+  suction:  { name: "Suction",  min: 0.6, max: 1.2 },
+  pressure: { name: "Pressure", min: 3,   max: 6   },
+  return:   { name: "Return",   min: 2,   max: 4   }
+};
+
+/**
+ * Standard tube and hose bores, in mm, smallest first.
+ * Metric tube: ISO 8434-1 outside diameter × wall. SAE hose: dash size = ID in 1/16 in.
+ */
+const LINE_SIZE_CATALOGS = {
+  metric: {
+    name: "Metric tube (OD × wall)",
+    sizes: [
+      { name: "6 × 1",    id: 4  },
+      { name: "8 × 1",    id: 6  },
+      { name: "10 × 1.5", id: 7  },
+      { name: "12 × 1.5", id: 9  },
+      { name: "15 × 1.5", id: 12 },
+      { name: "18 × 1.5", id: 15 },
+      { name: "20 × 2",   id: 16 },
+      { name: "22 × 2",   id: 18 },
+      { name: "25 × 2.5", id: 20 },
+      { name: "28 × 2.5", id: 23 },
+      { name: "30 × 3",   id: 24 },
+      { name: "35 × 3",   id: 29 },
+      { name: "38 × 4",   id: 30 },
+      { name: "42 × 4",   id: 34 }
+    ]
+  },
+  sae: {
+    name: "SAE hose (dash size)",
+    sizes: [4, 5, 6, 8, 10, 12, 16, 20, 24, 32].map(dash => ({ name: `-${dash}`, id: dash / 16 * 25.4 }))
+  }
+};
+
+/**
+ * Compare a velocity with the limits of a line type.
+ *
+ * @param {Quantity} velocity
+ * @param {string} lineType - Key of LINE_VELOCITY_LIMITS
+ * @returns {'low'|'ok'|'high'}
+ */
+function checkLineVelocity(velocity, lineType) {
+  const { min, max } = LINE_VELOCITY_LIMITS[lineType];
+  const V = velocity.to("m/s").value;
+  if (V < min) return "low";
+  if (V > max) return "high";
+  return "ok";
+}
+
+/**
+ * Recommend the smallest catalog size whose velocity is within the line type's limits.
+ * When sizes jump over the range, the smallest size that is not too fast is
+ * returned with compliant = false.
+ *
+ * @param {Quantity} flow
+ * @param {string} lineType - Key of LINE_VELOCITY_LIMITS
+ * @param {Array<{ name: string, id: number }>} sizes - Catalog bores in mm, smallest first
+ * @returns {{ size: Object, velocity: Quantity, compliant: boolean }|null}
+ *   null if even the largest size is too fast
+ */
+function recommendLineSize(flow, lineType, sizes) {
+  const candidates = sizes.map(size => ({
+    size,
+    velocity: flow.divide(circleArea(new Quantity(size.id, "mm"))).to("m/s")
+  }));
+  const compliant = candidates.find(c => checkLineVelocity(c.velocity, lineType) === "ok");
+  if (compliant) return { ...compliant, compliant: true };
+  const notTooFast = candidates.find(c => checkLineVelocity(c.velocity, lineType) === "low");
+  return notTooFast ? { ...notTooFast, compliant: false } : null;
+}
+
+/**
+ * Latest flow velocity and hydraulic diameter of the Pipe Velocity calculator,
+ * shared with the Reynolds calculator through the "pipesectionchange" event.
+ * @type {{ velocity: Quantity, hydraulicDiameter: Quantity }|null}
+ */
+let latestPipeSection = null;
 
 /**
  * Initialize the pipe velocity calculator.
- * Computes V = Q / A  ↔  D = 2√(Q/πV)  ↔  Q = V·π(D/2)²
+ * Computes V = Q / A  ↔  Q = V·A for a circular bore or another cross-section shape.
  */
 function initializePipeVelocityCalculator() {
   const elements = {
-    diameter:     document.getElementById("pipeDiameter"),
-    flow:         document.getElementById("pipeFlow"),
-    velocity:     document.getElementById("pipeVelocity"),
-    diameterUnit: document.getElementById("pipeDiameterUnit"),
-    flowUnit:     document.getElementById("pipeFlowUnit"),
-    velocityUnit: document.getElementById("pipeVelocityUnit")
+    shape:             document.getElementById("pipeShape"),
+    diameter:          document.getElementById("pipeDiameter"),
+    width:             document.getElementById("pipeWidth"),
+    height:            document.getElementById("pipeHeight"),
+    outer:             document.getElementById("pipeOuter"),
+    inner:             document.getElementById("pipeInner"),
+    area:              document.getElementById("pipeArea"),
+    perimeter:         document.getElementById("pipePerimeter"),
+    flow:              document.getElementById("pipeFlow"),
+    velocity:          document.getElementById("pipeVelocity"),
+    sectionArea:       document.getElementById("pipeSectionArea"),
+    hydraulic:         document.getElementById("pipeHydraulic"),
+    diameterUnit:      document.getElementById("pipeDiameterUnit"),
+    widthUnit:         document.getElementById("pipeWidthUnit"),
+    heightUnit:        document.getElementById("pipeHeightUnit"),
+    outerUnit:         document.getElementById("pipeOuterUnit"),
+    innerUnit:         document.getElementById("pipeInnerUnit"),
+    areaUnit:          document.getElementById("pipeAreaUnit"),
+    perimeterUnit:     document.getElementById("pipePerimeterUnit"),
+    flowUnit:          document.getElementById("pipeFlowUnit"),
+    velocityUnit:      document.getElementById("pipeVelocityUnit"),
+    sectionAreaUnit:   document.getElementById("pipeSectionAreaUnit"),
+    hydraulicUnit:     document.getElementById("pipeHydraulicUnit"),
+    lineType:          document.getElementById("pipeLineType"),
+    catalog:           document.getElementById("pipeCatalog"),
+    status:            document.getElementById("pipeVelocityStatus"),
+    recommended:       document.getElementById("pipeRecommended"),
+    useSize:           document.getElementById("pipeUseSize")
   };
 
   if (!Object.values(elements).every(Boolean)) {
@@ -78,94 +321,194 @@ function initializePipeVelocityCalculator() {
     return;
   }
 
-  // Populate unit dropdowns from unit_converter.js data
-  populateUnitSelect(elements.diameterUnit, "length", "mm");
-  populateUnitSelect(elements.flowUnit,     "flow",   "gpm");
-  // Velocity: m/s and ft/s only
-  elements.velocityUnit.innerHTML = '';
-  [["m/s","m/s"],["ft/s","ft/s"]].forEach(([label,val]) =>
-    elements.velocityUnit.add(new Option(label, val))
+  // Shape options; rows tagged data-shape are shown for their shape only
+  Object.entries(CROSS_SECTION_SHAPES).forEach(([key, shape]) =>
+    elements.shape.add(new Option(shape.name, key))
+  );
+  const shapeRows = elements.shape.closest(".border").querySelectorAll("[data-shape]");
+
+  // Sizing mode options
+  Object.entries(LINE_VELOCITY_LIMITS).forEach(([key, limits]) =>
+    elements.lineType.add(new Option(
+      `${limits.name} (${formatLocaleInput(limits.min)}–${formatLocaleInput(limits.max)} m/s)`, key))
+  );
+  Object.entries(LINE_SIZE_CATALOGS).forEach(([key, catalog]) =>
+    elements.catalog.add(new Option(catalog.name, key))
   );
 
+  // Cross-section dimensions by shape: [input, unit select] per CROSS_SECTION_SHAPES dimension
+  const sectionInputs = {
+    circle:    { diameter:  [elements.diameter,  elements.diameterUnit] },
+    rectangle: { width:     [elements.width,     elements.widthUnit],
+                 height:    [elements.height,    elements.heightUnit] },
+    annulus:   { outer:     [elements.outer,     elements.outerUnit],
+                 inner:     [elements.inner,     elements.innerUnit] },
+    custom:    { area:      [elements.area,      elements.areaUnit],
+                 perimeter: [elements.perimeter, elements.perimeterUnit] }
+  };
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.diameterUnit,    "length",   "mm",   elements.diameter);
+  populateUnitSelect(elements.widthUnit,       "length",   "mm",   elements.width);
+  populateUnitSelect(elements.heightUnit,      "length",   "mm",   elements.height);
+  populateUnitSelect(elements.outerUnit,       "length",   "mm",   elements.outer);
+  populateUnitSelect(elements.innerUnit,       "length",   "mm",   elements.inner);
+  populateUnitSelect(elements.areaUnit,        "area",     "mm^2", elements.area);
+  populateUnitSelect(elements.perimeterUnit,   "length",   "mm",   elements.perimeter);
+  populateUnitSelect(elements.flowUnit,        "flow",     "gpm",  elements.flow);
+  populateUnitSelect(elements.velocityUnit,    "velocity", "m/s",  elements.velocity);
+  populateUnitSelect(elements.sectionAreaUnit, "area",     "mm^2");
+  populateUnitSelect(elements.hydraulicUnit,   "length",   "mm");
+
   // Store old unit values for unit-change conversions
-  elements.diameterUnit.dataset.old = elements.diameterUnit.value;
+  Object.values(sectionInputs).flatMap(Object.values).forEach(([, unitEl]) => {
+    unitEl.dataset.old = unitEl.value;
+  });
   elements.flowUnit.dataset.old     = elements.flowUnit.value;
   elements.velocityUnit.dataset.old = elements.velocityUnit.value;
 
   let busy = false;
+  let recommendation = null;
+
+  /** Read the selected shape's dimensions as a cross-section, or null if incomplete */
+  function readSection() {
+    const dims = {};
+    for (const [name, [inputEl, unitEl]] of Object.entries(sectionInputs[elements.shape.value])) {
+      dims[name] = readQuantity(inputEl, unitEl);
+      if (!dims[name]) return null;
+    }
+    return crossSection(elements.shape.value, dims);
+  }
+
+  /** Show area and hydraulic diameter, and share V and Dh with the Reynolds calculator */
+  function showSection(section, velocity) {
+    if (!section) {
+      elements.sectionArea.value = "";
+      elements.hydraulic.value = "";
+      return;
+    }
+    writeQuantity(elements.sectionArea, elements.sectionAreaUnit, section.area);
+    writeQuantity(elements.hydraulic,   elements.hydraulicUnit,   section.hydraulicDiameter);
+    if (velocity) {
+      latestPipeSection = { velocity, hydraulicDiameter: section.hydraulicDiameter };
+      document.dispatchEvent(new CustomEvent("pipesectionchange", { detail: latestPipeSection }));
+    }
+  }
+
+  // -- Sizing mode: flag the current velocity and recommend a catalog size --
+  function updateSizing(section) {
+    const lineType = elements.lineType.value;
+    const Q = readQuantity(elements.flow, elements.flowUnit);
+    recommendation = null;
+    elements.status.textContent = "";
+    elements.status.className = "velocity-status";
+    elements.recommended.value = "";
+    elements.useSize.disabled = true;
+    if (!lineType || !Q || Q.value <= 0) return;
+
+    const limits = LINE_VELOCITY_LIMITS[lineType];
+    if (section) {
+      const check = checkLineVelocity(Q.divide(section.area), lineType);
+      elements.status.textContent = check === "ok" ? "Within limits"
+        : check === "high" ? `Too fast (> ${formatLocaleInput(limits.max)} m/s)`
+        : `Too slow (< ${formatLocaleInput(limits.min)} m/s)`;
+      elements.status.className = "velocity-status " + check;
+    }
+
+    // Catalog sizes are round bores
+    if (elements.shape.value !== "circle") {
+      elements.recommended.value = "Catalog sizes apply to circular bores";
+      return;
+    }
+    recommendation = recommendLineSize(Q, lineType, LINE_SIZE_CATALOGS[elements.catalog.value].sizes);
+    if (!recommendation) {
+      elements.recommended.value = "None: the largest size is too fast";
+      return;
+    }
+    const { size, velocity, compliant } = recommendation;
+    elements.recommended.value = `${size.name} (ID ${formatLocaleNumber(size.id, 2)} mm) → `
+      + velocity.to(elements.velocityUnit.value).format()
+      + (compliant ? "" : ", below range: no size fits");
+    elements.useSize.disabled = false;
+  }
 
-  // -- V = Q / A (diameter + flow → velocity) --
+  // -- V = Q / A (section + flow → velocity) --
   function calcVelocity() {
     if (busy) return; busy = true;
-    const D = parseFloat(elements.diameter.value);
-    const Q = parseFloat(elements.flow.value);
-    if (Number.isFinite(D) && Number.isFinite(Q) && D > 0) {
-      const D_m   = toSIUnit(D, elements.diameterUnit.value, "m");
-      const Q_m3s = toSIUnit(Q, elements.flowUnit.value,     "m^3/s");
-      const A     = Math.PI * (D_m / 2) ** 2;
-      const V_ms  = Q_m3s / A;
-      elements.velocity.value = fromSIUnit(V_ms, "m/s", elements.velocityUnit.value).toFixed(4);
+    try {
+      const section = readSection();
+      const Q = readQuantity(elements.flow, elements.flowUnit);
+      const V = section && Q ? Q.divide(section.area) : null;
+      if (V) {
+        writeQuantity(elements.velocity, elements.velocityUnit, V);
+      }
+      showSection(section, V);
+      updateSizing(section);
+    } finally {
+      busy = false;
     }
-    busy = false;
   }
 
-  // -- Q = V·A (diameter + velocity → flow) --
+  // -- Q = V·A (section + velocity → flow) --
   function calcFlow() {
     if (busy) return; busy = true;
-    const D = parseFloat(elements.diameter.value);
-    const V = parseFloat(elements.velocity.value);
-    if (Number.isFinite(D) && Number.isFinite(V) && D > 0) {
-      const D_m   = toSIUnit(D, elements.diameterUnit.value,  "m");
-      const V_ms  = toSIUnit(V, elements.velocityUnit.value,  "m/s");
-      const A     = Math.PI * (D_m / 2) ** 2;
-      const Q_m3s = V_ms * A;
-      elements.flow.value = fromSIUnit(Q_m3s, "m^3/s", elements.flowUnit.value).toFixed(4);
+    try {
+      const section = readSection();
+      const V = readQuantity(elements.velocity, elements.velocityUnit);
+      if (section && V) {
+        writeQuantity(elements.flow, elements.flowUnit, V.multiply(section.area));
+      }
+      showSection(section, V);
+      updateSizing(section);
+    } finally {
+      busy = false;
     }
-    busy = false;
   }
 
-  // Unit-change handlers: re-display the stored quantity in the new unit, then recalculate
-  function onDiameterUnitChange() {
-    const old = elements.diameterUnit.dataset.old;
-    const val = parseFloat(elements.diameter.value);
-    if (Number.isFinite(val)) {
-      elements.diameter.value = convertUnit(old, elements.diameterUnit.value, val).toFixed(4);
-    }
-    elements.diameterUnit.dataset.old = elements.diameterUnit.value;
+  function onShapeChange() {
+    shapeRows.forEach(row => { row.hidden = row.dataset.shape !== elements.shape.value; });
     calcVelocity();
   }
 
+  // Unit-change handlers: re-display the stored quantity in the new unit, then recalculate
   function onFlowUnitChange() {
-    const old = elements.flowUnit.dataset.old;
-    const val = parseFloat(elements.flow.value);
-    if (Number.isFinite(val)) {
-      elements.flow.value = convertUnit(old, elements.flowUnit.value, val).toFixed(4);
-    }
-    elements.flowUnit.dataset.old = elements.flowUnit.value;
+    convertInputUnit(elements.flow, elements.flowUnit);
     calcVelocity();
   }
 
   function onVelocityUnitChange() {
-    const old = elements.velocityUnit.dataset.old;
-    const val = parseFloat(elements.velocity.value);
-    if (Number.isFinite(val)) {
-      elements.velocity.value = convertUnit(old, elements.velocityUnit.value, val).toFixed(4);
-    }
-    elements.velocityUnit.dataset.old = elements.velocityUnit.value;
+    convertInputUnit(elements.velocity, elements.velocityUnit);
     calcVelocity();
   }
 
-  // Diameter or flow edited → recompute velocity
-  elements.diameter.addEventListener("input", calcVelocity);
-  elements.flow.addEventListener("input",     calcVelocity);
-  // Velocity edited → recompute flow (diameter is fixed geometry)
+  // Section dimensions or flow edited → recompute velocity
+  Object.values(sectionInputs).flatMap(Object.values).forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcVelocity);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcVelocity();
+    });
+  });
+  elements.flow.addEventListener("input", calcVelocity);
+  // Velocity edited → recompute flow (the section is fixed geometry)
   elements.velocity.addEventListener("input", calcFlow);
 
-  elements.diameterUnit.addEventListener("change", onDiameterUnitChange);
+  elements.shape.addEventListener("change",        onShapeChange);
   elements.flowUnit.addEventListener("change",     onFlowUnitChange);
   elements.velocityUnit.addEventListener("change", onVelocityUnitChange);
+  elements.sectionAreaUnit.addEventListener("change", calcVelocity);
+  elements.hydraulicUnit.addEventListener("change",   calcVelocity);
+
+  elements.lineType.addEventListener("change", calcVelocity);
+  elements.catalog.addEventListener("change",  calcVelocity);
+  // Adopt the recommended bore as the diameter
+  elements.useSize.addEventListener("click", () => {
+    if (!recommendation) return;
+    writeQuantity(elements.diameter, elements.diameterUnit, new Quantity(recommendation.size.id, "mm"));
+    calcVelocity();
+  });
 
-  calcVelocity(); // Initial calculation
+  onShapeChange(); // Initial calculation
 }
 
 // ========== CIRCLE AREA CALCULATOR ==========
@@ -189,47 +532,33 @@ function initializeCircleAreaCalculator() {
   }
 
   // Populate unit dropdowns from unit_converter.js data
-  populateUnitSelect(elements.diameterUnit, "length", "in");
-  populateUnitSelect(elements.areaUnit,     "area",   "in^2");
+  populateUnitSelect(elements.diameterUnit, "length", "in",   elements.diameter);
+  populateUnitSelect(elements.areaUnit,     "area",   "in^2", elements.area);
 
   elements.diameterUnit.dataset.old = elements.diameterUnit.value;
   elements.areaUnit.dataset.old     = elements.areaUnit.value;
 
   // -- A = π(D/2)² --
   function calcArea() {
-    const D = parseFloat(elements.diameter.value);
-    if (!Number.isFinite(D) || D < 0) return;
-    const D_m  = toSIUnit(D, elements.diameterUnit.value, "m");
-    const A_m2 = Math.PI * (D_m / 2) ** 2;
-    elements.area.value = fromSIUnit(A_m2, "m^2", elements.areaUnit.value).toFixed(6);
+    const D = readQuantity(elements.diameter, elements.diameterUnit);
+    if (!D || D.value < 0) return;
+    writeQuantity(elements.area, elements.areaUnit, circleArea(D));
   }
 
   // -- D = 2√(A/π) --
   function calcDiameter() {
-    const A = parseFloat(elements.area.value);
-    if (!Number.isFinite(A) || A < 0) return;
-    const A_m2 = toSIUnit(A, elements.areaUnit.value, "m^2");
-    const D_m  = 2 * Math.sqrt(A_m2 / Math.PI);
-    elements.diameter.value = fromSIUnit(D_m, "m", elements.diameterUnit.value).toFixed(6);
+    const A = readQuantity(elements.area, elements.areaUnit);
+    if (!A || A.value < 0) return;
+    writeQuantity(elements.diameter, elements.diameterUnit, A.divide(Math.PI).pow(0.5).multiply(2));
   }
 
   function onDiameterUnitChange() {
-    const old = elements.diameterUnit.dataset.old;
-    const val = parseFloat(elements.diameter.value);
-    if (Number.isFinite(val)) {
-      elements.diameter.value = convertUnit(old, elements.diameterUnit.value, val).toFixed(6);
-    }
-    elements.diameterUnit.dataset.old = elements.diameterUnit.value;
+    convertInputUnit(elements.diameter, elements.diameterUnit);
     calcArea();
   }
 
   function onAreaUnitChange() {
-    const old = elements.areaUnit.dataset.old;
-    const val = parseFloat(elements.area.value);
-    if (Number.isFinite(val)) {
-      elements.area.value = convertUnit(old, elements.areaUnit.value, val).toFixed(6);
-    }
-    elements.areaUnit.dataset.old = elements.areaUnit.value;
+    convertInputUnit(elements.area, elements.areaUnit);
     calcDiameter();
   }
 
@@ -246,10 +575,58 @@ function initializeCircleAreaCalculator() {
 // Re < 2300        → Laminar
 // 2300 ≤ Re ≤ 4000 → Transitional
 // Re > 4000        → Turbulent
+// Fluid mode: ρ and μ come from OilProps at the given temperature, and a
+// sweep plots Re against temperature (cold start → operating temperature).
+
+/** Number of points in the Re-vs-temperature sweep */
+const REYNOLDS_SWEEP_POINTS = 61;
+
+/**
+ * Reynolds number of a fluid across a temperature range, for fixed V and D.
+ *
+ * @param {string} fluid - OilProps fluid name
+ * @param {Quantity} velocity
+ * @param {Quantity} diameter
+ * @param {number} tMin - Start temperature, in tempUnit
+ * @param {number} tMax - End temperature, in tempUnit
+ * @param {string} tempUnit - e.g. "C", "F", "K"
+ * @returns {Array<{x: number, y: number}>} Temperature (tempUnit) and Re; points without fluid data are skipped
+ */
+function reynoldsTemperatureSweep(fluid, velocity, diameter, tMin, tMax, tempUnit) {
+  const VD = velocity.to("m/s").value * diameter.to("m").value;
+  const points = [];
+  for (let i = 0; i < REYNOLDS_SWEEP_POINTS; i++) {
+    const t = tMin + (tMax - tMin) * i / (REYNOLDS_SWEEP_POINTS - 1);
+    const tK = convertUnit(tempUnit, "K", t);
+    const Re = OilProps.getDensityAtTemp(fluid, tK) * VD / OilProps.getDynViscAtTemp(fluid, tK);
+    if (Number.isFinite(Re)) points.push({ x: t, y: Re });
+  }
+  return points;
+}
+
+/**
+ * Temperatures where a sweep crosses a Reynolds number, by linear interpolation.
+ *
+ * @param {Array<{x: number, y: number}>} points - From reynoldsTemperatureSweep
+ * @param {number} Re - Threshold, e.g. LAMINAR_REYNOLDS_LIMIT
+ * @returns {number[]} Crossing temperatures, in the sweep's unit
+ */
+function findReynoldsCrossings(points, Re) {
+  const crossings = [];
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1], b = points[i];
+    if ((a.y - Re) * (b.y - Re) < 0 || (b.y === Re && a.y !== Re)) {
+      crossings.push(a.x + (Re - a.y) * (b.x - a.x) / (b.y - a.y));
+    }
+  }
+  return crossings;
+}
 
 /**
  * Initialize the Reynolds number calculator.
  * Re = ρVD / μ, with laminar / transitional / turbulent classification.
+ * Pick a fluid to fill ρ and μ from OilProps and plot Re over a temperature range;
+ * link to the Pipe Velocity calculator to take V and the hydraulic diameter from it.
  */
 function initializeReynoldsCalculator() {
   const elements = {
@@ -259,10 +636,19 @@ function initializeReynoldsCalculator() {
     dynVisc:     document.getElementById("reDynVisc"),
     reynolds:    document.getElementById("reValue"),
     flowStatus:  document.getElementById("reFlowStatus"),
+    link:        document.getElementById("reLinkPipe"),
+    fluid:       document.getElementById("reFluid"),
+    temperature: document.getElementById("reTemperature"),
+    sweep:       document.getElementById("reSweep"),
+    sweepMin:    document.getElementById("reSweepMin"),
+    sweepMax:    document.getElementById("reSweepMax"),
+    sweepChart:  document.getElementById("reSweepChart"),
+    sweepNote:   document.getElementById("reSweepNote"),
     densityUnit: document.getElementById("reDensityUnit"),
     velocityUnit:document.getElementById("reVelocityUnit"),
     diameterUnit:document.getElementById("reDiameterUnit"),
-    dynViscUnit: document.getElementById("reDynViscUnit")
+    dynViscUnit: document.getElementById("reDynViscUnit"),
+    temperatureUnit: document.getElementById("reTemperatureUnit")
   };
 
   if (!Object.values(elements).every(Boolean)) {
@@ -271,52 +657,132 @@ function initializeReynoldsCalculator() {
   }
 
   // Populate unit dropdowns from unit_converter.js data
-  populateUnitSelect(elements.densityUnit,  "density",           "kg/m^3");
-  populateUnitSelect(elements.diameterUnit, "length",            "m");
-  populateUnitSelect(elements.dynViscUnit,  "dynamic viscosity", "Pa*s");
-
-  // Velocity: m/s and ft/s only
-  elements.velocityUnit.innerHTML = '';
-  [["m/s","m/s"],["ft/s","ft/s"]].forEach(([label,val]) =>
-    elements.velocityUnit.add(new Option(label, val))
-  );
+  populateUnitSelect(elements.densityUnit,  "density",           "kg/m^3", elements.density);
+  populateUnitSelect(elements.diameterUnit, "length",            "m",      elements.diameter);
+  populateUnitSelect(elements.dynViscUnit,  "dynamic viscosity", "Pa*s",   elements.dynVisc);
+  populateUnitSelect(elements.velocityUnit, "velocity",          "m/s",    elements.velocity);
+  populateUnitSelect(elements.temperatureUnit, "temperature",    "C",      elements.temperature);
+
+  // The sweep limits share the temperature unit; their page defaults are in °C
+  const temperatureInputs = [elements.temperature, elements.sweepMin, elements.sweepMax];
+  function convertTemperatures(fromUnit, inputs = temperatureInputs) {
+    inputs.forEach(inputEl => {
+      elements.temperatureUnit.dataset.old = fromUnit;
+      convertInputUnit(inputEl, elements.temperatureUnit);
+    });
+  }
+  convertTemperatures("C", [elements.sweepMin, elements.sweepMax]);
+
+  let sweepChart = null;
+
+  // -- Fluid mode: ρ(T) and μ(T) from OilProps --
+  function fillFluidProperties() {
+    const T = readQuantity(elements.temperature, elements.temperatureUnit);
+    if (!T) return false;
+    const props = OilProps.getPropertiesAtTemp(elements.fluid.value, T);
+    if (!Number.isFinite(props.density.value) || !Number.isFinite(props.dynamicViscosity.value)) {
+      return false;
+    }
+    writeQuantity(elements.density, elements.densityUnit, props.density);
+    writeQuantity(elements.dynVisc, elements.dynViscUnit, props.dynamicViscosity);
+    return true;
+  }
 
   // -- Re = ρVD / μ --
   function calcReynolds() {
-    const rho = parseFloat(elements.density.value);
-    const V   = parseFloat(elements.velocity.value);
-    const D   = parseFloat(elements.diameter.value);
-    const mu  = parseFloat(elements.dynVisc.value);
+    const fluidMode = Boolean(elements.fluid.value);
+    if (fluidMode && !fillFluidProperties()) {
+      elements.density.value = "";
+      elements.dynVisc.value = "";
+    }
 
-    if ([rho, V, D, mu].some(v => !Number.isFinite(v))) {
+    const rho = readQuantity(elements.density,  elements.densityUnit);
+    const V   = readQuantity(elements.velocity, elements.velocityUnit);
+    const D   = readQuantity(elements.diameter, elements.diameterUnit);
+    const mu  = readQuantity(elements.dynVisc,  elements.dynViscUnit);
+
+    updateSweep(fluidMode, V, D);
+
+    if (!rho || !V || !D || !mu) {
       elements.reynolds.value = "";
       setFlowStatus("", "");
       return;
     }
 
-    if (mu === 0) {
+    if (mu.value === 0) {
       elements.reynolds.value = "∞";
       setFlowStatus("Turbulent", "turbulent");
       return;
     }
 
-    // Convert all inputs to SI
-    const rho_SI = toSIUnit(rho, elements.densityUnit.value,  "kg/m^3");
-    const V_SI   = toSIUnit(V,   elements.velocityUnit.value, "m/s");
-    const D_SI   = toSIUnit(D,   elements.diameterUnit.value, "m");
-    const mu_SI  = toSIUnit(mu,  elements.dynViscUnit.value,  "Pa*s");
+    const reynolds = rho.multiply(V).multiply(D).divide(mu).to("1");
+    elements.reynolds.value = formatSignificant(reynolds.value, reynolds.uncertainty);
 
-    const Re = (rho_SI * V_SI * D_SI) / mu_SI;
-    elements.reynolds.value = Re.toFixed(0);
+    const { text, regime } = classifyFlowRegime(reynolds.value);
+    setFlowStatus(text, regime);
+  }
 
-    // Flow regime classification
-    if (Re < 2300) {
-      setFlowStatus("Laminar", "laminar");
-    } else if (Re <= 4000) {
-      setFlowStatus("Transitional", "transitional");
-    } else {
-      setFlowStatus("Turbulent", "turbulent");
+  /**
+   * Plot Re against temperature for the selected fluid and mark the regime limits.
+   * @param {boolean} fluidMode - The sweep is hidden when ρ and μ are typed by hand
+   * @param {Quantity|null} V
+   * @param {Quantity|null} D
+   */
+  function updateSweep(fluidMode, V, D) {
+    elements.sweep.hidden = !fluidMode;
+    elements.sweepNote.textContent = "";
+    const tMin = parseLocaleNumber(elements.sweepMin.value);
+    const tMax = parseLocaleNumber(elements.sweepMax.value);
+    if (!fluidMode || !V || !D || !Number.isFinite(tMin) || !Number.isFinite(tMax) || tMin >= tMax) return;
+
+    const unit = elements.temperatureUnit.value;
+    const symbol = formatUnitSymbol(unit);
+    const points = reynoldsTemperatureSweep(elements.fluid.value, V, D, tMin, tMax, unit);
+
+    const notes = [[LAMINAR_REYNOLDS_LIMIT, "laminar limit"], [TURBULENT_REYNOLDS_LIMIT, "turbulent limit"]]
+      .flatMap(([Re, label]) => findReynoldsCrossings(points, Re)
+        .map(t => `Re = ${formatLocaleInput(Re)} (${label}) at ${formatLocaleNumber(t, 1)} ${symbol}`));
+    elements.sweepNote.textContent = notes.length
+      ? notes.join("; ")
+      : `No regime change between ${formatLocaleInput(tMin)} and ${formatLocaleInput(tMax)} ${symbol}`;
+
+    if (typeof Chart === "undefined") return;
+    const limitLine = (Re) => [{ x: tMin, y: Re }, { x: tMax, y: Re }];
+    const datasets = [
+      { label: "Re", data: points, borderColor: "rgba(54, 162, 235, 1)", borderWidth: 2, pointRadius: 0 },
+      { label: `Laminar limit (${LAMINAR_REYNOLDS_LIMIT})`, data: limitLine(LAMINAR_REYNOLDS_LIMIT),
+        borderColor: "#16a34a", borderWidth: 1, borderDash: [5, 5], pointRadius: 0 },
+      { label: `Turbulent limit (${TURBULENT_REYNOLDS_LIMIT})`, data: limitLine(TURBULENT_REYNOLDS_LIMIT),
+        borderColor: "#dc2626", borderWidth: 1, borderDash: [5, 5], pointRadius: 0 }
+    ];
+
+    if (sweepChart) {
+      sweepChart.data.datasets = datasets;
+      sweepChart.options.scales.x.title.text = `Temperature (${symbol})`;
+      sweepChart.update();
+      return;
     }
+    sweepChart = new Chart(elements.sweepChart, {
+      type: "line",
+      data: { datasets },
+      options: {
+        responsive: true,
+        parsing: false,
+        animation: false,
+        plugins: {
+          legend: { position: "bottom", labels: { font: { size: 11 }, boxWidth: 14 } },
+          tooltip: {
+            callbacks: {
+              label: ctx => `${ctx.dataset.label}: ${formatSignificant(ctx.parsed.y)}`
+            }
+          }
+        },
+        scales: {
+          x: { type: "linear", title: { display: true, text: `Temperature (${symbol})` } },
+          y: { type: "logarithmic", title: { display: true, text: "Reynolds number" } }
+        }
+      }
+    });
   }
 
   /**
@@ -329,14 +795,2185 @@ function initializeReynoldsCalculator() {
     elements.flowStatus.className   = "re-flow-status " + regime;
   }
 
-  [elements.density, elements.velocity, elements.diameter, elements.dynVisc].forEach(e =>
+  // -- Linked mode: V and D follow the Pipe Velocity calculator (D is the hydraulic diameter) --
+  function applyPipeSection() {
+    if (!elements.link.checked || !latestPipeSection) return;
+    writeQuantity(elements.velocity, elements.velocityUnit, latestPipeSection.velocity);
+    writeQuantity(elements.diameter, elements.diameterUnit, latestPipeSection.hydraulicDiameter);
+  }
+
+  function onLinkChange() {
+    elements.velocity.readOnly = elements.link.checked;
+    elements.diameter.readOnly = elements.link.checked;
+    applyPipeSection();
+    calcReynolds();
+  }
+
+  /** Switch between typed ρ/μ and fluid mode, where they are read-only results */
+  function onFluidChange() {
+    const fluidMode = Boolean(elements.fluid.value);
+    elements.density.readOnly = fluidMode;
+    elements.dynVisc.readOnly = fluidMode;
+    elements.temperature.disabled = !fluidMode;
+    calcReynolds();
+  }
+
+  [elements.density, elements.velocity, elements.diameter, elements.dynVisc,
+   elements.temperature, elements.sweepMin, elements.sweepMax].forEach(e =>
     e.addEventListener("input", calcReynolds)
   );
   [elements.densityUnit, elements.velocityUnit, elements.diameterUnit, elements.dynViscUnit].forEach(e =>
     e.addEventListener("change", calcReynolds)
   );
+  elements.temperatureUnit.addEventListener("change", () => {
+    convertTemperatures(elements.temperatureUnit.dataset.old);
+    calcReynolds();
+  });
+  elements.fluid.addEventListener("change", onFluidChange);
+  elements.link.addEventListener("change", onLinkChange);
+  document.addEventListener("pipesectionchange", () => {
+    if (!elements.link.checked) return;
+    applyPipeSection();
+    calcReynolds();
+  });
+
+  // Fluid list: keep the "manual" entry first, then every OilProps fluid
+  const manualOption = elements.fluid.options[0];
+  populateFluidSelect(elements.fluid).then(loaded => {
+    if (loaded) elements.fluid.insertBefore(manualOption, elements.fluid.firstChild);
+    elements.fluid.value = "";
+    onFluidChange();
+  });
+
+  onFluidChange(); // Initial calculation
+}
+
+// ========== PIPE PRESSURE DROP CALCULATOR (DARCY–WEISBACH) ==========
+// ΔP = f·(L/D)·ρV²/2,  h = ΔP / (ρg)
+// Re < 2300 → f = 64/Re
+// otherwise → Colebrook–White (iterated) or Haaland (explicit)
+// Density and viscosity come from OilProps for the chosen fluid and temperature.
+
+/**
+ * Typical absolute roughness ε of new, clean line materials, in mm.
+ */
+const PIPE_ROUGHNESS_PRESETS = [
+  { name: "Drawn tubing (steel, copper)", roughness: 0.0015 },
+  { name: "Stainless steel tube",         roughness: 0.015  },
+  { name: "Rubber hose",                  roughness: 0.01   },
+  { name: "Commercial steel pipe",        roughness: 0.045  },
+  { name: "Galvanized steel pipe",        roughness: 0.15   },
+  { name: "Cast iron",                    roughness: 0.26   },
+  { name: "PVC / plastic",                roughness: 0.0015 }
+];
+
+/**
+ * Darcy friction factor.
+ * Laminar flow uses f = 64/Re. Transitional and turbulent flow use the
+ * turbulent correlation, which gives the higher (conservative) pressure drop.
+ *
+ * @param {number} Re - Reynolds number
+ * @param {number} relativeRoughness - ε/D
+ * @param {'colebrook'|'haaland'} [method="colebrook"]
+ * @returns {number} Darcy friction factor, or NaN if Re ≤ 0
+ */
+function frictionFactor(Re, relativeRoughness, method = "colebrook") {
+  if (!(Re > 0)) return NaN;
+  if (Re < LAMINAR_REYNOLDS_LIMIT) return 64 / Re;
+
+  // Haaland: 1/√f = -1.8·log10[(ε/D / 3.7)^1.11 + 6.9/Re]
+  const invSqrtHaaland = -1.8 * Math.log10(Math.pow(relativeRoughness / 3.7, 1.11) + 6.9 / Re);
+  if (method === "haaland") return 1 / (invSqrtHaaland * invSqrtHaaland);
+
+  // Colebrook: 1/√f = -2·log10[ε/D / 3.7 + 2.51/(Re·√f)], iterated from the Haaland estimate
+  let x = invSqrtHaaland;
+  for (let i = 0; i < 50; i++) {
+    const next = -2 * Math.log10(relativeRoughness / 3.7 + 2.51 * x / Re);
+    const converged = Math.abs(next - x) < 1e-12;
+    x = next;
+    if (converged) break;
+  }
+  return 1 / (x * x);
+}
+
+/**
+ * Darcy–Weisbach pressure drop along a straight, circular line.
+ * Input uncertainties are carried through; the friction factor's share is
+ * half its spread over Re ± u(Re).
+ *
+ * @param {Object} line
+ * @param {Quantity} line.length
+ * @param {Quantity} line.diameter - Inner diameter
+ * @param {Quantity} line.roughness - Absolute roughness ε
+ * @param {Quantity} line.flow
+ * @param {Quantity} line.density
+ * @param {Quantity} line.dynamicViscosity
+ * @param {'colebrook'|'haaland'} [line.method="colebrook"]
+ * @returns {{ velocity: Quantity, reynolds: Quantity, frictionFactor: Quantity, headLoss: Quantity, pressureDrop: Quantity }}
+ *   Velocity in m/s, head loss in m, pressure drop in Pa
+ */
+function pipePressureDrop({ length, diameter, roughness, flow, density, dynamicViscosity, method = "colebrook" }) {
+  const velocity = flow.divide(circleArea(diameter)).to("m/s");
+  const reynolds = density.multiply(velocity).multiply(diameter).divide(dynamicViscosity).to("1");
+  const relativeRoughness = roughness.divide(diameter).to("1").value;
+
+  const Re = reynolds.value;
+  const uRe = reynolds.uncertainty;
+  const f = frictionFactor(Re, relativeRoughness, method);
+  const uf = uRe > 0 && Re - uRe > 0
+    ? Math.abs(frictionFactor(Re + uRe, relativeRoughness, method) - frictionFactor(Re - uRe, relativeRoughness, method)) / 2
+    : 0;
+  const friction = new Quantity(f, "1", uf);
+
+  // h = f·(L/D)·V²/2g; ΔP = ρ·g·h, so ρ enters ΔP once and h not at all
+  const dynamicHead = friction.multiply(length.divide(diameter).to("1")).multiply(velocity.pow(2)).divide(2);
+  const headLoss = dynamicHead.divide(new Quantity(STANDARD_GRAVITY, "m/s^2")).to("m");
+  const pressureDrop = dynamicHead.multiply(density).to("Pa");
+
+  return { velocity, reynolds, frictionFactor: friction, headLoss, pressureDrop };
+}
+
+/**
+ * Initialize the pipe pressure drop calculator.
+ * Length, diameter, roughness, flow, fluid and temperature → f, head loss and ΔP.
+ */
+function initializePipePressureDropCalculator() {
+  const elements = {
+    length:           document.getElementById("dpLength"),
+    diameter:         document.getElementById("dpDiameter"),
+    material:         document.getElementById("dpMaterial"),
+    roughness:        document.getElementById("dpRoughness"),
+    flow:             document.getElementById("dpFlow"),
+    fluid:            document.getElementById("dpFluid"),
+    temperature:      document.getElementById("dpTemperature"),
+    method:           document.getElementById("dpMethod"),
+    velocity:         document.getElementById("dpVelocity"),
+    reynolds:         document.getElementById("dpReynolds"),
+    flowStatus:       document.getElementById("dpFlowStatus"),
+    friction:         document.getElementById("dpFriction"),
+    headLoss:         document.getElementById("dpHeadLoss"),
+    pressureDrop:     document.getElementById("dpPressureDrop"),
+    lengthUnit:       document.getElementById("dpLengthUnit"),
+    diameterUnit:     document.getElementById("dpDiameterUnit"),
+    roughnessUnit:    document.getElementById("dpRoughnessUnit"),
+    flowUnit:         document.getElementById("dpFlowUnit"),
+    temperatureUnit:  document.getElementById("dpTemperatureUnit"),
+    velocityUnit:     document.getElementById("dpVelocityUnit"),
+    headLossUnit:     document.getElementById("dpHeadLossUnit"),
+    pressureDropUnit: document.getElementById("dpPressureDropUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Pipe pressure drop calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.lengthUnit,       "length",      "m",     elements.length);
+  populateUnitSelect(elements.diameterUnit,     "length",      "mm",    elements.diameter);
+  populateUnitSelect(elements.roughnessUnit,    "length",      "mm",    elements.roughness);
+  populateUnitSelect(elements.flowUnit,         "flow",        "L/min", elements.flow);
+  populateUnitSelect(elements.temperatureUnit,  "temperature", "C",     elements.temperature);
+  populateUnitSelect(elements.velocityUnit,     "velocity",    "m/s");
+  populateUnitSelect(elements.headLossUnit,     "length",      "m");
+  populateUnitSelect(elements.pressureDropUnit, "pressure",    "bar");
+
+  const inputUnits = [
+    [elements.length,      elements.lengthUnit],
+    [elements.diameter,    elements.diameterUnit],
+    [elements.roughness,   elements.roughnessUnit],
+    [elements.flow,        elements.flowUnit],
+    [elements.temperature, elements.temperatureUnit]
+  ];
+  inputUnits.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  // Material presets; editing the roughness by hand switches to "Custom"
+  PIPE_ROUGHNESS_PRESETS.forEach((preset, i) =>
+    elements.material.add(new Option(`${preset.name} (${formatLocaleInput(preset.roughness)} mm)`, String(i)))
+  );
+  elements.material.add(new Option("Custom", "custom"));
+
+  function applyMaterial() {
+    const preset = PIPE_ROUGHNESS_PRESETS[elements.material.value];
+    if (preset) {
+      writeQuantity(elements.roughness, elements.roughnessUnit, new Quantity(preset.roughness, "mm"));
+    }
+  }
+
+  function clearResults() {
+    [elements.velocity, elements.reynolds, elements.friction, elements.headLoss, elements.pressureDrop]
+      .forEach(e => { e.value = ""; });
+    elements.flowStatus.textContent = "";
+    elements.flowStatus.className = "re-flow-status";
+  }
+
+  // -- f, h and ΔP from the line, flow and fluid --
+  function calcPressureDrop() {
+    const L   = readQuantity(elements.length,      elements.lengthUnit);
+    const D   = readQuantity(elements.diameter,    elements.diameterUnit);
+    const eps = readQuantity(elements.roughness,   elements.roughnessUnit);
+    const Q   = readQuantity(elements.flow,        elements.flowUnit);
+    const T   = readQuantity(elements.temperature, elements.temperatureUnit);
+
+    if (!L || !D || !eps || !Q || !T || !elements.fluid.value || D.value <= 0 || Q.value <= 0) {
+      clearResults();
+      return;
+    }
+
+    const fluid = OilProps.getPropertiesAtTemp(elements.fluid.value, T);
+    if (!Number.isFinite(fluid.density.value) || !Number.isFinite(fluid.dynamicViscosity.value)) {
+      clearResults();
+      elements.flowStatus.textContent = "No property data for this fluid";
+      return;
+    }
+
+    const result = pipePressureDrop({
+      length: L,
+      diameter: D,
+      roughness: eps,
+      flow: Q,
+      density: fluid.density,
+      dynamicViscosity: fluid.dynamicViscosity,
+      method: elements.method.value
+    });
+
+    writeQuantity(elements.velocity,     elements.velocityUnit,     result.velocity);
+    writeQuantity(elements.headLoss,     elements.headLossUnit,     result.headLoss);
+    writeQuantity(elements.pressureDrop, elements.pressureDropUnit, result.pressureDrop);
+    elements.reynolds.value = formatSignificant(result.reynolds.value, result.reynolds.uncertainty);
+    elements.friction.value = formatSignificant(result.frictionFactor.value, result.frictionFactor.uncertainty);
+
+    const { text, regime } = classifyFlowRegime(result.reynolds.value);
+    elements.flowStatus.textContent = text;
+    elements.flowStatus.className   = "re-flow-status " + regime;
+  }
+
+  inputUnits.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcPressureDrop);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcPressureDrop();
+    });
+  });
+  elements.roughness.addEventListener("input", () => { elements.material.value = "custom"; });
+  elements.material.addEventListener("change", () => {
+    applyMaterial();
+    calcPressureDrop();
+  });
+  [elements.fluid, elements.method, elements.velocityUnit, elements.headLossUnit, elements.pressureDropUnit]
+    .forEach(e => e.addEventListener("change", calcPressureDrop));
+
+  applyMaterial();
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(calcPressureDrop);
+}
+
+// ========== LINE BUILDER ==========
+// A line is a series of straight segments and fittings carrying the same flow.
+// Segment → ΔP = f·(L/D)·ρV²/2 (pipePressureDrop)
+// Fitting → ΔP = n·K·ρV²/2, or n·f·(Le/D)·ρV²/2 with the equivalent-length model
+// The line total is the sum of its items.
+
+/**
+ * Loss coefficients of common fittings: K and equivalent length as a ratio Le/D.
+ * The Le/D values match K at a fully turbulent friction factor of about 0.02–0.025.
+ */
+const FITTING_LIBRARY = [
+  { name: "90° elbow, standard",        k: 0.75, lengthRatio: 30  },
+  { name: "90° elbow, long radius",     k: 0.45, lengthRatio: 20  },
+  { name: "45° elbow",                  k: 0.35, lengthRatio: 16  },
+  { name: "180° return bend",           k: 1.5,  lengthRatio: 50  },
+  { name: "Tee, flow through run",      k: 0.4,  lengthRatio: 20  },
+  { name: "Tee, flow through branch",   k: 1.5,  lengthRatio: 60  },
+  { name: "Straight coupling / union",  k: 0.04, lengthRatio: 2   },
+  { name: "Quick-disconnect coupling",  k: 1.0,  lengthRatio: 45  },
+  { name: "Ball valve, fully open",     k: 0.05, lengthRatio: 3   },
+  { name: "Gate valve, fully open",     k: 0.17, lengthRatio: 8   },
+  { name: "Swing check valve",          k: 2.0,  lengthRatio: 100 },
+  { name: "Entrance from tank, sharp",  k: 0.5,  lengthRatio: 25  },
+  { name: "Exit into tank",             k: 1.0,  lengthRatio: 50  }
+];
+
+/**
+ * Pressure drop of a line built from straight segments and fittings in series.
+ *
+ * @param {Array<Object>} items - In flow order, each either
+ *   { kind: "segment", length, diameter, roughness } or
+ *   { kind: "fitting", fitting, count, diameter, roughness }
+ *   (fitting is a FITTING_LIBRARY entry; lengths and diameters are Quantities)
+ * @param {Object} conditions
+ * @param {Quantity} conditions.flow
+ * @param {Quantity} conditions.density
+ * @param {Quantity} conditions.dynamicViscosity
+ * @param {'colebrook'|'haaland'} [conditions.method="colebrook"] - Turbulent friction factor
+ * @param {'k'|'length'} [conditions.fittingModel="k"] - K-values or equivalent lengths
+ * @returns {{ items: Array<{ velocity: Quantity, reynolds: Quantity, pressureDrop: Quantity }>, pressureDrop: Quantity }}
+ *   Per-item results (as pipePressureDrop) and the line total in Pa
+ */
+function linePressureDrop(items, { flow, density, dynamicViscosity, method = "colebrook", fittingModel = "k" }) {
+  const results = items.map(item => {
+    if (item.kind !== "fitting") {
+      return pipePressureDrop({ ...item, flow, density, dynamicViscosity, method });
+    }
+    if (fittingModel === "length") {
+      const length = item.diameter.multiply(item.fitting.lengthRatio * item.count);
+      return pipePressureDrop({ ...item, length, flow, density, dynamicViscosity, method });
+    }
+    const velocity = flow.divide(circleArea(item.diameter)).to("m/s");
+    const reynolds = density.multiply(velocity).multiply(item.diameter).divide(dynamicViscosity).to("1");
+    const pressureDrop = density.multiply(velocity.pow(2)).multiply(item.fitting.k * item.count / 2).to("Pa");
+    return { velocity, reynolds, pressureDrop };
+  });
+
+  const total = results.reduce((sum, r) => sum.add(r.pressureDrop), new Quantity(0, "Pa"));
+  return { items: results, pressureDrop: total };
+}
+
+/**
+ * Initialize the line builder.
+ * Rows are straight segments (length) or fittings (count), each with its own bore;
+ * flow, fluid and temperature are shared by the whole line.
+ */
+function initializeLineBuilder() {
+  const elements = {
+    flow:             document.getElementById("lbFlow"),
+    fluid:            document.getElementById("lbFluid"),
+    temperature:      document.getElementById("lbTemperature"),
+    method:           document.getElementById("lbMethod"),
+    fittingModel:     document.getElementById("lbFittingModel"),
+    rows:             document.getElementById("lbRows"),
+    addSegment:       document.getElementById("lbAddSegment"),
+    addFitting:       document.getElementById("lbAddFitting"),
+    total:            document.getElementById("lbTotal"),
+    status:           document.getElementById("lbStatus"),
+    flowUnit:         document.getElementById("lbFlowUnit"),
+    temperatureUnit:  document.getElementById("lbTemperatureUnit"),
+    lengthUnit:       document.getElementById("lbLengthUnit"),
+    diameterUnit:     document.getElementById("lbDiameterUnit"),
+    velocityUnit:     document.getElementById("lbVelocityUnit"),
+    pressureDropUnit: document.getElementById("lbPressureDropUnit"),
+    totalUnit:        document.getElementById("lbTotalUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Line builder: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.flowUnit,         "flow",        "L/min", elements.flow);
+  populateUnitSelect(elements.temperatureUnit,  "temperature", "C",     elements.temperature);
+  populateUnitSelect(elements.lengthUnit,       "length",      "m");
+  populateUnitSelect(elements.diameterUnit,     "length",      "mm");
+  populateUnitSelect(elements.velocityUnit,     "velocity",    "m/s");
+  populateUnitSelect(elements.pressureDropUnit, "pressure",    "bar");
+  populateUnitSelect(elements.totalUnit,        "pressure",    "bar");
+
+  [elements.flowUnit, elements.temperatureUnit, elements.lengthUnit, elements.diameterUnit]
+    .forEach(unitEl => { unitEl.dataset.old = unitEl.value; });
+
+  /**
+   * Build the item <select>: straight-line materials, then the fitting library.
+   * Values are "segment:<preset index>" or "fitting:<library index>".
+   */
+  function createItemSelect(value) {
+    const select = document.createElement("select");
+    const segments = document.createElement("optgroup");
+    segments.label = "Straight line";
+    PIPE_ROUGHNESS_PRESETS.forEach((preset, i) => segments.appendChild(new Option(preset.name, `segment:${i}`)));
+    const fittings = document.createElement("optgroup");
+    fittings.label = "Fittings";
+    FITTING_LIBRARY.forEach((fitting, i) => fittings.appendChild(new Option(fitting.name, `fitting:${i}`)));
+    select.append(segments, fittings);
+    select.value = value;
+    return select;
+  }
+
+  /**
+   * Append a row to the line.
+   * @param {string} item - Item select value, e.g. "segment:0" or "fitting:0"
+   * @param {number} amount - Length in the length unit, or fitting count
+   * @param {number} diameter - Bore in the diameter unit
+   */
+  function addRow(item, amount, diameter) {
+    const tr = document.createElement("tr");
+    const itemSelect = createItemSelect(item);
+    const amountInput = document.createElement("input");
+    const diameterInput = document.createElement("input");
+    [amountInput, diameterInput].forEach(input => {
+      input.type = "text";
+      input.inputMode = "decimal";
+    });
+    amountInput.className = "lb-amount";
+    diameterInput.className = "lb-diameter";
+    amountInput.value = formatLocaleInput(amount);
+    diameterInput.value = formatLocaleInput(diameter);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "batch-btn";
+    removeBtn.textContent = "✕";
+    removeBtn.title = "Remove";
+    removeBtn.addEventListener("click", () => {
+      tr.remove();
+      calcLine();
+    });
+
+    // A row switched between segment and fitting starts again at a single fitting / 1 length unit
+    itemSelect.dataset.old = itemSelect.value;
+    itemSelect.addEventListener("change", () => {
+      if (itemSelect.value.split(":")[0] !== itemSelect.dataset.old.split(":")[0]) {
+        amountInput.value = formatLocaleInput(1);
+      }
+      itemSelect.dataset.old = itemSelect.value;
+      calcLine();
+    });
+    amountInput.addEventListener("input", calcLine);
+    diameterInput.addEventListener("input", calcLine);
+
+    [itemSelect, amountInput, diameterInput, null, null, removeBtn].forEach(content => {
+      const td = document.createElement("td");
+      if (content) td.appendChild(content);
+      tr.appendChild(td);
+    });
+    elements.rows.appendChild(tr);
+  }
+
+  /** Read one table row as a linePressureDrop item, or null if incomplete */
+  function readRow(tr) {
+    const [kind, index] = tr.querySelector("select").value.split(":");
+    const amount = parseMeasurement(tr.querySelector(".lb-amount").value);
+    const diameter = readQuantity(tr.querySelector(".lb-diameter"), elements.diameterUnit);
+    if (!amount || !diameter || diameter.value <= 0 || amount.value < 0) return null;
+
+    if (kind === "fitting") {
+      return {
+        kind,
+        fitting: FITTING_LIBRARY[index],
+        count: amount.value,
+        diameter,
+        roughness: new Quantity(PIPE_ROUGHNESS_PRESETS[0].roughness, "mm")
+      };
+    }
+    return {
+      kind,
+      length: new Quantity(amount.value, elements.lengthUnit.value, amount.uncertainty),
+      diameter,
+      roughness: new Quantity(PIPE_ROUGHNESS_PRESETS[index].roughness, "mm")
+    };
+  }
+
+  function clearResults(message) {
+    elements.rows.querySelectorAll("tr").forEach(tr => {
+      tr.cells[3].textContent = "";
+      tr.cells[4].textContent = "";
+    });
+    elements.total.value = "";
+    elements.status.textContent = message;
+  }
+
+  // -- ΔP per row and for the whole line --
+  function calcLine() {
+    const Q = readQuantity(elements.flow,        elements.flowUnit);
+    const T = readQuantity(elements.temperature, elements.temperatureUnit);
+    const trs = Array.from(elements.rows.querySelectorAll("tr"));
+    const items = trs.map(readRow);
+
+    if (!Q || !T || Q.value <= 0 || !elements.fluid.value) {
+      clearResults("");
+      return;
+    }
+    if (items.some(item => !item)) {
+      clearResults("Every row needs a length or count and an inner diameter");
+      return;
+    }
+
+    const fluid = OilProps.getPropertiesAtTemp(elements.fluid.value, T);
+    if (!Number.isFinite(fluid.density.value) || !Number.isFinite(fluid.dynamicViscosity.value)) {
+      clearResults("No property data for this fluid");
+      return;
+    }
+
+    const result = linePressureDrop(items, {
+      flow: Q,
+      density: fluid.density,
+      dynamicViscosity: fluid.dynamicViscosity,
+      method: elements.method.value,
+      fittingModel: elements.fittingModel.value
+    });
+
+    const show = (quantity, unit) => {
+      const converted = quantity.to(unit);
+      return formatSignificant(converted.value, converted.uncertainty);
+    };
+    trs.forEach((tr, i) => {
+      const { velocity, reynolds, pressureDrop } = result.items[i];
+      tr.cells[3].textContent = show(velocity, elements.velocityUnit.value);
+      tr.cells[3].title = `Re ${formatSignificant(reynolds.value)} (${classifyFlowRegime(reynolds.value).text})`;
+      tr.cells[4].textContent = show(pressureDrop, elements.pressureDropUnit.value);
+    });
+    elements.total.value = show(result.pressureDrop, elements.totalUnit.value);
+    elements.status.textContent = `${trs.length} item${trs.length === 1 ? "" : "s"}`;
+  }
+
+  /** Re-express a column of row inputs after its shared unit changed */
+  function convertColumn(selector, unitEl, rowFilter = () => true) {
+    const oldUnit = unitEl.dataset.old;
+    elements.rows.querySelectorAll("tr").forEach(tr => {
+      if (!rowFilter(tr)) return;
+      unitEl.dataset.old = oldUnit;
+      convertInputUnit(tr.querySelector(selector), unitEl);
+    });
+    unitEl.dataset.old = unitEl.value;
+  }
+
+  /** Page-default length in the selected unit, to 4 significant figures */
+  function defaultLength(value, unit, unitEl) {
+    return Number(convertUnit(unit, unitEl.value, value).toPrecision(4));
+  }
+
+  /** New rows start with the bore of the last row */
+  function lastRowDiameter() {
+    const inputs = elements.rows.querySelectorAll(".lb-diameter");
+    const last = inputs.length ? parseLocaleNumber(inputs[inputs.length - 1].value) : NaN;
+    return Number.isFinite(last) ? last : defaultLength(19, "mm", elements.diameterUnit);
+  }
+
+  elements.flow.addEventListener("input", calcLine);
+  elements.temperature.addEventListener("input", calcLine);
+  elements.flowUnit.addEventListener("change", () => {
+    convertInputUnit(elements.flow, elements.flowUnit);
+    calcLine();
+  });
+  elements.temperatureUnit.addEventListener("change", () => {
+    convertInputUnit(elements.temperature, elements.temperatureUnit);
+    calcLine();
+  });
+  elements.lengthUnit.addEventListener("change", () => {
+    convertColumn(".lb-amount", elements.lengthUnit, tr => tr.querySelector("select").value.startsWith("segment"));
+    calcLine();
+  });
+  elements.diameterUnit.addEventListener("change", () => {
+    convertColumn(".lb-diameter", elements.diameterUnit);
+    calcLine();
+  });
+  [elements.fluid, elements.method, elements.fittingModel, elements.velocityUnit, elements.pressureDropUnit, elements.totalUnit]
+    .forEach(e => e.addEventListener("change", calcLine));
+
+  elements.addSegment.addEventListener("click", () => {
+    addRow("segment:0", 1, lastRowDiameter());
+    calcLine();
+  });
+  elements.addFitting.addEventListener("click", () => {
+    addRow("fitting:0", 1, lastRowDiameter());
+    calcLine();
+  });
+
+  // Example return line: tube, two elbows, a hose, a quick coupling and the tank exit
+  const D = defaultLength(19, "mm", elements.diameterUnit);
+  addRow("segment:0",  defaultLength(2,   "m", elements.lengthUnit), D);
+  addRow("fitting:0",  2,                                            D);
+  addRow("segment:2",  defaultLength(1.5, "m", elements.lengthUnit), D);
+  addRow("fitting:7",  1,                                            D);
+  addRow("fitting:12", 1,                                            D);
+
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(calcLine);
+}
+
+// ========== HYDRAULIC CYLINDER CALCULATOR ==========
+// Bore area A = π(D/2)², rod area Ar = π(d/2)², annulus area Aa = A − Ar
+// Extend:  F = P·A,   v = Q/A
+// Retract: F = P·Aa,  v = Q/Aa
+// Regenerative extend (rod-side oil rejoins the pump flow): F = P·Ar, v = Q/Ar
+// Area ratio φ = A / Aa
+// Editing a force back-solves the pressure; editing a speed back-solves the flow.
+
+/**
+ * Forces and speeds of a double-acting, single-rod cylinder.
+ *
+ * @param {Object} cylinder
+ * @param {Quantity} cylinder.bore
+ * @param {Quantity} cylinder.rod - Rod diameter, 0 < d < D
+ * @param {Quantity} [cylinder.pressure] - Omit to skip the forces
+ * @param {Quantity} [cylinder.flow] - Omit to skip the speeds
+ * @returns {{ boreArea: Quantity, rodArea: Quantity, annulusArea: Quantity, areaRatio: Quantity,
+ *   extendForce?: Quantity, retractForce?: Quantity, regenForce?: Quantity,
+ *   extendSpeed?: Quantity, retractSpeed?: Quantity, regenSpeed?: Quantity }}
+ *   Forces in N, speeds in m/s
+ */
+function cylinderPerformance({ bore, rod, pressure, flow }) {
+  const boreArea = circleArea(bore);
+  const rodArea = circleArea(rod);
+  const annulusArea = boreArea.subtract(rodArea);
+  const result = { boreArea, rodArea, annulusArea, areaRatio: boreArea.divide(annulusArea).to("1") };
+  if (pressure) {
+    result.extendForce  = pressure.multiply(boreArea).to("N");
+    result.retractForce = pressure.multiply(annulusArea).to("N");
+    result.regenForce   = pressure.multiply(rodArea).to("N");
+  }
+  if (flow) {
+    result.extendSpeed  = flow.divide(boreArea).to("m/s");
+    result.retractSpeed = flow.divide(annulusArea).to("m/s");
+    result.regenSpeed   = flow.divide(rodArea).to("m/s");
+  }
+  return result;
+}
+
+/**
+ * Initialize the hydraulic cylinder calculator.
+ * Bore, rod, pressure and flow → forces, speeds, area ratio and regenerative speed.
+ */
+function initializeCylinderCalculator() {
+  const elements = {
+    bore:             document.getElementById("cylBore"),
+    rod:              document.getElementById("cylRod"),
+    pressure:         document.getElementById("cylPressure"),
+    flow:             document.getElementById("cylFlow"),
+    extendForce:      document.getElementById("cylExtendForce"),
+    retractForce:     document.getElementById("cylRetractForce"),
+    regenForce:       document.getElementById("cylRegenForce"),
+    extendSpeed:      document.getElementById("cylExtendSpeed"),
+    retractSpeed:     document.getElementById("cylRetractSpeed"),
+    regenSpeed:       document.getElementById("cylRegenSpeed"),
+    areaRatio:        document.getElementById("cylAreaRatio"),
+    status:           document.getElementById("cylStatus"),
+    boreUnit:         document.getElementById("cylBoreUnit"),
+    rodUnit:          document.getElementById("cylRodUnit"),
+    pressureUnit:     document.getElementById("cylPressureUnit"),
+    flowUnit:         document.getElementById("cylFlowUnit"),
+    extendForceUnit:  document.getElementById("cylExtendForceUnit"),
+    retractForceUnit: document.getElementById("cylRetractForceUnit"),
+    regenForceUnit:   document.getElementById("cylRegenForceUnit"),
+    extendSpeedUnit:  document.getElementById("cylExtendSpeedUnit"),
+    retractSpeedUnit: document.getElementById("cylRetractSpeedUnit"),
+    regenSpeedUnit:   document.getElementById("cylRegenSpeedUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Cylinder calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.boreUnit,         "length",   "mm",    elements.bore);
+  populateUnitSelect(elements.rodUnit,          "length",   "mm",    elements.rod);
+  populateUnitSelect(elements.pressureUnit,     "pressure", "bar",   elements.pressure);
+  populateUnitSelect(elements.flowUnit,         "flow",     "L/min", elements.flow);
+  populateUnitSelect(elements.extendForceUnit,  "force",    "kN");
+  populateUnitSelect(elements.retractForceUnit, "force",    "kN");
+  populateUnitSelect(elements.regenForceUnit,   "force",    "kN");
+  populateUnitSelect(elements.extendSpeedUnit,  "velocity", "mm/s");
+  populateUnitSelect(elements.retractSpeedUnit, "velocity", "mm/s");
+  populateUnitSelect(elements.regenSpeedUnit,   "velocity", "mm/s");
+
+  // Result fields and their unit selects; forces and the extend/retract speeds are also editable
+  const outputs = {
+    extendForce:  [elements.extendForce,  elements.extendForceUnit],
+    retractForce: [elements.retractForce, elements.retractForceUnit],
+    regenForce:   [elements.regenForce,   elements.regenForceUnit],
+    extendSpeed:  [elements.extendSpeed,  elements.extendSpeedUnit],
+    retractSpeed: [elements.retractSpeed, elements.retractSpeedUnit],
+    regenSpeed:   [elements.regenSpeed,   elements.regenSpeedUnit]
+  };
+  const inputs = [
+    [elements.bore,     elements.boreUnit],
+    [elements.rod,      elements.rodUnit],
+    [elements.pressure, elements.pressureUnit],
+    [elements.flow,     elements.flowUnit]
+  ];
+  [...inputs, ...Object.values(outputs)].forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  let busy = false;
+
+  /** Bore and rod as Quantities, or null (with a status message) if they do not form a cylinder */
+  function readGeometry() {
+    const bore = readQuantity(elements.bore, elements.boreUnit);
+    const rod  = readQuantity(elements.rod,  elements.rodUnit);
+    if (!bore || !rod) {
+      elements.status.textContent = "";
+      return null;
+    }
+    if (!(rod.value > 0) || rod.subtract(bore).value >= 0) {
+      elements.status.textContent = "Rod diameter must be above 0 and smaller than the bore";
+      return null;
+    }
+    elements.status.textContent = "";
+    return { bore, rod };
+  }
+
+  /**
+   * Write every result except the field being edited.
+   * @param {HTMLInputElement} [editing]
+   */
+  function showResults(editing) {
+    const geometry = readGeometry();
+    const pressure = readQuantity(elements.pressure, elements.pressureUnit);
+    const flow     = readQuantity(elements.flow,     elements.flowUnit);
+    if (!geometry) {
+      Object.values(outputs).forEach(([inputEl]) => { if (inputEl !== editing) inputEl.value = ""; });
+      elements.areaRatio.value = "";
+      return;
+    }
+
+    const result = cylinderPerformance({ ...geometry, pressure, flow });
+    elements.areaRatio.value = formatSignificant(result.areaRatio.value, result.areaRatio.uncertainty);
+    Object.entries(outputs).forEach(([key, [inputEl, unitEl]]) => {
+      if (inputEl === editing) return;
+      if (result[key]) {
+        writeQuantity(inputEl, unitEl, result[key]);
+      } else {
+        inputEl.value = "";
+      }
+    });
+  }
+
+  // -- Bore, rod, pressure or flow edited → forces and speeds --
+  function calcOutputs() {
+    if (busy) return; busy = true;
+    try {
+      showResults();
+    } finally {
+      busy = false;
+    }
+  }
+
+  /**
+   * Back-solve an input from an edited result: P = F / area or Q = v·area.
+   * @param {string} key - Key of outputs
+   * @param {'boreArea'|'annulusArea'} areaKey - Area the result acts on
+   * @param {'pressure'|'flow'} target - Input to solve for
+   */
+  function backSolve(key, areaKey, target) {
+    if (busy) return; busy = true;
+    try {
+      const [inputEl, unitEl] = outputs[key];
+      const value = readQuantity(inputEl, unitEl);
+      const geometry = readGeometry();
+      if (!value || !geometry) return;
+      const area = cylinderPerformance(geometry)[areaKey];
+      if (target === "pressure") {
+        writeQuantity(elements.pressure, elements.pressureUnit, value.divide(area));
+      } else {
+        writeQuantity(elements.flow, elements.flowUnit, value.multiply(area));
+      }
+      showResults(inputEl);
+    } finally {
+      busy = false;
+    }
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcOutputs);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcOutputs();
+    });
+  });
+  // Result unit changed → re-express the result
+  Object.values(outputs).forEach(([inputEl, unitEl]) => {
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+    });
+  });
+
+  // Force edited → required pressure; speed edited → required flow
+  elements.extendForce.addEventListener("input",  () => backSolve("extendForce",  "boreArea",    "pressure"));
+  elements.retractForce.addEventListener("input", () => backSolve("retractForce", "annulusArea", "pressure"));
+  elements.extendSpeed.addEventListener("input",  () => backSolve("extendSpeed",  "boreArea",    "flow"));
+  elements.retractSpeed.addEventListener("input", () => backSolve("retractSpeed", "annulusArea", "flow"));
+
+  calcOutputs(); // Initial calculation
+}
+
+// ========== PUMP / MOTOR CALCULATOR ==========
+// Pump:  Q = Vg·n·ηv   T = Vg·Δp / (2π·ηm)   P_in = T·ω,  P_out = Q·Δp
+// Motor: Q = Vg·n / ηv  T = Vg·Δp·ηm / 2π     P_in = Q·Δp, P_out = T·ω
+// The 2π is carried by the displacement unit (cm³/rev = cm³ per 2π rad). Angle is a dimension of
+// its own, so Vg·Δp is torque per radian of shaft travel and T·ω is power times radians.
+// Editing the flow back-solves the speed; editing the torque back-solves the pressure.
+
+/**
+ * Flow inputs of the other calculators that can take the pump/motor flow.
+ */
+const FLOW_INPUT_TARGETS = [
+  ["pipeFlow", "pipeFlowUnit"],
+  ["dpFlow",   "dpFlowUnit"],
+  ["lbFlow",   "lbFlowUnit"],
+  ["cylFlow",  "cylFlowUnit"],
+  ["rtFlow",   "rtFlowUnit"]
+];
+
+/**
+ * Flow, torque and power of a hydraulic pump or motor.
+ *
+ * @param {Object} unit
+ * @param {'pump'|'motor'} unit.mode
+ * @param {Quantity} unit.displacement - Per revolution, e.g. cm^3/rev
+ * @param {Quantity} unit.speed - Shaft speed, e.g. rpm
+ * @param {Quantity} unit.pressure - Pressure difference across the unit
+ * @param {Quantity} unit.volumetricEfficiency - Fraction (unit "1")
+ * @param {Quantity} unit.mechanicalEfficiency - Fraction (unit "1")
+ * @returns {{ flow: Quantity, torque: Quantity, inputPower: Quantity, outputPower: Quantity, totalEfficiency: Quantity }}
+ *   Flow in m^3/s, torque in N*m, powers in W, efficiency as a fraction
+ */
+function pumpMotorPerformance({ mode, displacement, speed, pressure, volumetricEfficiency, mechanicalEfficiency }) {
+  const geometricFlow = displacement.multiply(speed);
+  const radian = new Quantity(1, "rad");
+  const idealTorque = displacement.multiply(pressure).multiply(radian);
+  const pump = mode === "pump";
+
+  const flow   = (pump ? geometricFlow.multiply(volumetricEfficiency) : geometricFlow.divide(volumetricEfficiency)).to("m^3/s");
+  const torque = (pump ? idealTorque.divide(mechanicalEfficiency) : idealTorque.multiply(mechanicalEfficiency)).to("N*m");
+  const hydraulicPower = flow.multiply(pressure).to("W");
+  const shaftPower = torque.multiply(speed).divide(radian).to("W");
+
+  return {
+    flow,
+    torque,
+    inputPower:  pump ? shaftPower : hydraulicPower,
+    outputPower: pump ? hydraulicPower : shaftPower,
+    totalEfficiency: volumetricEfficiency.multiply(mechanicalEfficiency).to("1")
+  };
+}
+
+/**
+ * Initialize the pump / motor calculator.
+ * Displacement, speed, pressure and efficiencies → flow, torque and power (bidirectional).
+ */
+function initializePumpMotorCalculator() {
+  const elements = {
+    mode:             document.getElementById("pmMode"),
+    displacement:     document.getElementById("pmDisplacement"),
+    speed:            document.getElementById("pmSpeed"),
+    pressure:         document.getElementById("pmPressure"),
+    volEfficiency:    document.getElementById("pmVolEfficiency"),
+    mechEfficiency:   document.getElementById("pmMechEfficiency"),
+    flow:             document.getElementById("pmFlow"),
+    torque:           document.getElementById("pmTorque"),
+    inputPower:       document.getElementById("pmInputPower"),
+    outputPower:      document.getElementById("pmOutputPower"),
+    totalEfficiency:  document.getElementById("pmTotalEfficiency"),
+    sendFlow:         document.getElementById("pmSendFlow"),
+    filterLink:       document.getElementById("pmFilterLink"),
+    displacementUnit: document.getElementById("pmDisplacementUnit"),
+    speedUnit:        document.getElementById("pmSpeedUnit"),
+    pressureUnit:     document.getElementById("pmPressureUnit"),
+    flowUnit:         document.getElementById("pmFlowUnit"),
+    torqueUnit:       document.getElementById("pmTorqueUnit"),
+    inputPowerUnit:   document.getElementById("pmInputPowerUnit"),
+    outputPowerUnit:  document.getElementById("pmOutputPowerUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Pump / motor calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.displacementUnit, "displacement",     "cm^3/rev", elements.displacement);
+  populateUnitSelect(elements.speedUnit,        "rotational speed", "rpm",      elements.speed);
+  populateUnitSelect(elements.pressureUnit,     "pressure",         "bar",      elements.pressure);
+  populateUnitSelect(elements.flowUnit,         "flow",             "L/min");
+  populateUnitSelect(elements.torqueUnit,       "torque",           "N*m");
+  populateUnitSelect(elements.inputPowerUnit,   "power",            "kW");
+  populateUnitSelect(elements.outputPowerUnit,  "power",            "kW");
+
+  const inputs = [
+    [elements.displacement, elements.displacementUnit],
+    [elements.speed,        elements.speedUnit],
+    [elements.pressure,     elements.pressureUnit],
+    [elements.flow,         elements.flowUnit],
+    [elements.torque,       elements.torqueUnit]
+  ];
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  let busy = false;
+
+  /** Read an efficiency typed in percent as a fraction */
+  function readEfficiency(inputEl) {
+    const measurement = parseMeasurement(inputEl.value);
+    if (!measurement || !(measurement.value > 0) || measurement.value > 100) return null;
+    return new Quantity(measurement.value / 100, "1", measurement.uncertainty / 100);
+  }
+
+  /** Inputs as pumpMotorPerformance arguments, or null if any is missing */
+  function readUnit() {
+    const unit = {
+      mode:                 elements.mode.value,
+      displacement:         readQuantity(elements.displacement, elements.displacementUnit),
+      speed:                readQuantity(elements.speed,        elements.speedUnit),
+      pressure:             readQuantity(elements.pressure,     elements.pressureUnit),
+      volumetricEfficiency: readEfficiency(elements.volEfficiency),
+      mechanicalEfficiency: readEfficiency(elements.mechEfficiency)
+    };
+    return Object.values(unit).every(Boolean) && unit.displacement.value > 0 ? unit : null;
+  }
+
+  /**
+   * Write every result except the field being edited.
+   * @param {HTMLInputElement} [editing]
+   */
+  function showResults(editing) {
+    const unit = readUnit();
+    const outputs = [
+      [elements.flow,        elements.flowUnit,        "flow"],
+      [elements.torque,      elements.torqueUnit,      "torque"],
+      [elements.inputPower,  elements.inputPowerUnit,  "inputPower"],
+      [elements.outputPower, elements.outputPowerUnit, "outputPower"]
+    ];
+    if (!unit) {
+      outputs.forEach(([inputEl]) => { if (inputEl !== editing) inputEl.value = ""; });
+      elements.totalEfficiency.value = "";
+      elements.sendFlow.disabled = true;
+      return;
+    }
+
+    const result = pumpMotorPerformance(unit);
+    outputs.forEach(([inputEl, unitEl, key]) => {
+      if (inputEl !== editing) writeQuantity(inputEl, unitEl, result[key]);
+    });
+    const eta = result.totalEfficiency.multiply(100);
+    elements.totalEfficiency.value = `${formatSignificant(eta.value, eta.uncertainty)} %`;
+    elements.sendFlow.disabled = false;
+    updateFilterLink();
+  }
+
+  // -- Displacement, speed, pressure or efficiency edited → flow, torque, power --
+  function calcOutputs() {
+    if (busy) return; busy = true;
+    try {
+      showResults();
+    } finally {
+      busy = false;
+    }
+  }
+
+  // -- Flow edited → speed: pump n = Q / (Vg·ηv), motor n = Q·ηv / Vg --
+  function calcSpeed() {
+    if (busy) return; busy = true;
+    try {
+      const Q = readQuantity(elements.flow, elements.flowUnit);
+      const unit = readUnit();
+      if (!Q || !unit) return;
+      const perRev = elements.mode.value === "pump"
+        ? unit.displacement.multiply(unit.volumetricEfficiency)
+        : unit.displacement.divide(unit.volumetricEfficiency);
+      writeQuantity(elements.speed, elements.speedUnit, Q.divide(perRev));
+      showResults(elements.flow);
+    } finally {
+      busy = false;
+    }
+  }
+
+  // -- Torque edited → pressure: pump Δp = T·ηm / Vg, motor Δp = T / (Vg·ηm) --
+  function calcPressure() {
+    if (busy) return; busy = true;
+    try {
+      const T = readQuantity(elements.torque, elements.torqueUnit);
+      const unit = readUnit();
+      if (!T || !unit) return;
+      const perPressure = elements.mode.value === "pump"
+        ? unit.displacement.divide(unit.mechanicalEfficiency)
+        : unit.displacement.multiply(unit.mechanicalEfficiency);
+      writeQuantity(elements.pressure, elements.pressureUnit, T.divide(new Quantity(1, "rad")).divide(perPressure));
+      showResults(elements.torque);
+    } finally {
+      busy = false;
+    }
+  }
+
+  /** Point the Filter Selection link at the current flow (plain "." number in the URL) */
+  function updateFilterLink() {
+    const Q = readQuantity(elements.flow, elements.flowUnit);
+    const url = new URL(elements.filterLink.href);
+    if (Q) {
+      url.searchParams.set("flow", String(Number(Q.value.toPrecision(4))));
+      url.searchParams.set("flowUnit", elements.flowUnit.value);
+    } else {
+      url.search = "";
+    }
+    elements.filterLink.href = url.toString();
+  }
+
+  /** Copy the flow into the other calculators on the page and let them recalculate */
+  function sendFlow() {
+    const Q = readQuantity(elements.flow, elements.flowUnit);
+    if (!Q) return;
+    FLOW_INPUT_TARGETS.forEach(([inputId, unitId]) => {
+      const inputEl = document.getElementById(inputId);
+      const unitEl = document.getElementById(unitId);
+      if (!inputEl || !unitEl) return;
+      writeQuantity(inputEl, unitEl, Q);
+      inputEl.dispatchEvent(new Event("input"));
+    });
+  }
+
+  [elements.displacement, elements.speed, elements.pressure, elements.volEfficiency, elements.mechEfficiency]
+    .forEach(e => e.addEventListener("input", calcOutputs));
+  elements.flow.addEventListener("input",   calcSpeed);
+  elements.torque.addEventListener("input", calcPressure);
+  inputs.forEach(([inputEl, unitEl]) => {
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcOutputs();
+    });
+  });
+  [elements.mode, elements.inputPowerUnit, elements.outputPowerUnit]
+    .forEach(e => e.addEventListener("change", calcOutputs));
+  elements.sendFlow.addEventListener("click", sendFlow);
+
+  calcOutputs(); // Initial calculation
+}
+
+// ========== HEAT LOAD & TANK DISSIPATION CALCULATOR ==========
+// Heat load        Φ = P_pump · (1 − η_system)
+// Wetted area      A = W·L + 2(W + L)·h, oil level h = V / (W·L)
+// Dissipation      Φ_tank = k·A·(T_oil − T_amb)
+// Equilibrium      T_oil = T_amb + Φ / (k·A)
+// Cooler capacity  Φ_cooler = Φ − k·A·(T_max − T_amb), when positive
+// Time constant    τ = ρ·V·c_p / (k·A) (oil only; the steel tank warms up with it)
+
+/**
+ * Heat balance of a rectangular reservoir cooled by natural convection.
+ *
+ * @param {Object} tank
+ * @param {Quantity} tank.heatLoad - Heat generated by the system
+ * @param {Quantity} tank.width
+ * @param {Quantity} tank.length
+ * @param {Quantity} tank.height
+ * @param {Quantity} tank.oilVolume
+ * @param {Quantity} tank.coefficient - Convection coefficient, e.g. W/(m^2*ΔK)
+ * @param {Quantity} tank.ambient - Ambient temperature
+ * @param {Quantity} tank.maxTemperature - Highest allowed oil temperature
+ * @param {Quantity} tank.density - Oil density
+ * @returns {{ oilLevel: Quantity, overfilled: boolean, wettedArea: Quantity, equilibriumTemperature: Quantity,
+ *   dissipationAtMax: Quantity, coolerCapacity: Quantity, timeConstant: Quantity }}
+ *   Level in m, area in m^2, temperature in the ambient's unit, heat flows in W, τ in s
+ */
+function tankHeatBalance({ heatLoad, width, length, height, oilVolume, coefficient, ambient, maxTemperature, density }) {
+  const footprint = width.multiply(length);
+  const fullLevel = oilVolume.divide(footprint).to("m");
+  const overfilled = fullLevel.value > height.to("m").value;
+  const oilLevel = overfilled ? height.to("m") : fullLevel;
+
+  const wettedArea = footprint.add(width.add(length).multiply(2).multiply(oilLevel)).to("m^2");
+  const kA = coefficient.multiply(wettedArea);
+
+  const equilibriumTemperature = ambient.add(heatLoad.divide(kA).to("ΔK"));
+  const dissipationAtMax = kA.multiply(maxTemperature.subtract(ambient)).to("W");
+  const shortfall = heatLoad.subtract(dissipationAtMax).to("W");
+  const coolerCapacity = shortfall.value > 0 ? shortfall : new Quantity(0, "W");
+  const timeConstant = density.multiply(oilVolume)
+    .multiply(new Quantity(OIL_SPECIFIC_HEAT, "J/(kg*ΔK)")).divide(kA).to("s");
+
+  return { oilLevel, overfilled, wettedArea, equilibriumTemperature, dissipationAtMax, coolerCapacity, timeConstant };
+}
+
+/**
+ * Initialize the heat load and tank dissipation calculator.
+ * Tank dimensions can be prefilled from the Tank Visualizer link (?tw=…&twu=…).
+ */
+function initializeHeatBalanceCalculator() {
+  const elements = {
+    pumpPower:        document.getElementById("hbPumpPower"),
+    efficiency:       document.getElementById("hbEfficiency"),
+    heatLoad:         document.getElementById("hbHeatLoad"),
+    width:            document.getElementById("hbWidth"),
+    length:           document.getElementById("hbLength"),
+    height:           document.getElementById("hbHeight"),
+    oilVolume:        document.getElementById("hbOilVolume"),
+    wettedArea:       document.getElementById("hbWettedArea"),
+    coefficient:      document.getElementById("hbCoefficient"),
+    ambient:          document.getElementById("hbAmbient"),
+    maxTemp:          document.getElementById("hbMaxTemp"),
+    fluid:            document.getElementById("hbFluid"),
+    equilibrium:      document.getElementById("hbEquilibrium"),
+    viscosity:        document.getElementById("hbViscosity"),
+    dissipation:      document.getElementById("hbDissipation"),
+    cooler:           document.getElementById("hbCooler"),
+    timeConstant:     document.getElementById("hbTimeConstant"),
+    status:           document.getElementById("hbStatus"),
+    usePumpPower:     document.getElementById("hbUsePumpPower"),
+    pumpPowerUnit:    document.getElementById("hbPumpPowerUnit"),
+    heatLoadUnit:     document.getElementById("hbHeatLoadUnit"),
+    widthUnit:        document.getElementById("hbWidthUnit"),
+    lengthUnit:       document.getElementById("hbLengthUnit"),
+    heightUnit:       document.getElementById("hbHeightUnit"),
+    oilVolumeUnit:    document.getElementById("hbOilVolumeUnit"),
+    wettedAreaUnit:   document.getElementById("hbWettedAreaUnit"),
+    coefficientUnit:  document.getElementById("hbCoefficientUnit"),
+    ambientUnit:      document.getElementById("hbAmbientUnit"),
+    maxTempUnit:      document.getElementById("hbMaxTempUnit"),
+    equilibriumUnit:  document.getElementById("hbEquilibriumUnit"),
+    viscosityUnit:    document.getElementById("hbViscosityUnit"),
+    dissipationUnit:  document.getElementById("hbDissipationUnit"),
+    coolerUnit:       document.getElementById("hbCoolerUnit"),
+    timeConstantUnit: document.getElementById("hbTimeConstantUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Heat balance calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.pumpPowerUnit,    "power",               "kW",         elements.pumpPower);
+  populateUnitSelect(elements.widthUnit,        "length",              "m",          elements.width);
+  populateUnitSelect(elements.lengthUnit,       "length",              "m",          elements.length);
+  populateUnitSelect(elements.heightUnit,       "length",              "m",          elements.height);
+  populateUnitSelect(elements.oilVolumeUnit,    "volume",              "L",          elements.oilVolume);
+  populateUnitSelect(elements.coefficientUnit,  "heat transfer",       "W/(m^2*ΔK)", elements.coefficient);
+  populateUnitSelect(elements.ambientUnit,      "temperature",         "C",          elements.ambient);
+  populateUnitSelect(elements.maxTempUnit,      "temperature",         "C",          elements.maxTemp);
+  populateUnitSelect(elements.heatLoadUnit,     "power",               "kW");
+  populateUnitSelect(elements.wettedAreaUnit,   "area",                "m^2");
+  populateUnitSelect(elements.equilibriumUnit,  "temperature",         "C");
+  populateUnitSelect(elements.viscosityUnit,    "kinematic viscosity", "cSt");
+  populateUnitSelect(elements.dissipationUnit,  "power",               "kW");
+  populateUnitSelect(elements.coolerUnit,       "power",               "kW");
+  populateUnitSelect(elements.timeConstantUnit, "time",                "min");
+
+  const inputs = [
+    [elements.pumpPower,   elements.pumpPowerUnit],
+    [elements.width,       elements.widthUnit],
+    [elements.length,      elements.lengthUnit],
+    [elements.height,      elements.heightUnit],
+    [elements.oilVolume,   elements.oilVolumeUnit],
+    [elements.coefficient, elements.coefficientUnit],
+    [elements.ambient,     elements.ambientUnit],
+    [elements.maxTemp,     elements.maxTempUnit]
+  ];
+
+  // Tank Visualizer hand-off: same parameter names as boxVisual's shareable URL
+  prefillFromUrl([
+    ["tw", "twu", elements.width,     elements.widthUnit],
+    ["th", "thu", elements.height,    elements.heightUnit],
+    ["tl", "tlu", elements.length,    elements.lengthUnit],
+    ["ov", "ovu", elements.oilVolume, elements.oilVolumeUnit]
+  ]);
+
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  /** Efficiency typed in percent as a fraction */
+  function readEfficiency() {
+    const measurement = parseMeasurement(elements.efficiency.value);
+    if (!measurement || measurement.value < 0 || measurement.value > 100) return null;
+    return new Quantity(measurement.value / 100, "1", measurement.uncertainty / 100);
+  }
+
+  function clearResults(message) {
+    [elements.heatLoad, elements.wettedArea, elements.equilibrium, elements.viscosity,
+     elements.dissipation, elements.cooler, elements.timeConstant].forEach(e => { e.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  // -- Heat load, tank dissipation, equilibrium temperature and cooler capacity --
+  function calcHeatBalance() {
+    const [pumpPower, width, length, height, oilVolume, coefficient, ambient, maxTemperature] =
+      inputs.map(([inputEl, unitEl]) => readQuantity(inputEl, unitEl));
+    const efficiency = readEfficiency();
+
+    if (!pumpPower || !efficiency) {
+      clearResults("");
+      return;
+    }
+    const heatLoad = pumpPower.multiply(new Quantity(1, "1").subtract(efficiency));
+    writeQuantity(elements.heatLoad, elements.heatLoadUnit, heatLoad);
+
+    const tank = [width, length, height, oilVolume, coefficient, ambient, maxTemperature];
+    if (!tank.every(Boolean) || !elements.fluid.value) {
+      clearResults("");
+      writeQuantity(elements.heatLoad, elements.heatLoadUnit, heatLoad);
+      return;
+    }
+    if (![width, length, height, oilVolume, coefficient].every(q => q.value > 0)) {
+      clearResults("Tank dimensions, oil volume and convection coefficient must be above 0");
+      writeQuantity(elements.heatLoad, elements.heatLoadUnit, heatLoad);
+      return;
+    }
+
+    const density = OilProps.getPropertiesAtTemp(elements.fluid.value, ambient).density;
+    if (!Number.isFinite(density.value)) {
+      clearResults("No property data for this fluid");
+      writeQuantity(elements.heatLoad, elements.heatLoadUnit, heatLoad);
+      return;
+    }
+
+    const result = tankHeatBalance({
+      heatLoad, width, length, height, oilVolume, coefficient, ambient, maxTemperature, density
+    });
+    writeQuantity(elements.wettedArea,   elements.wettedAreaUnit,   result.wettedArea);
+    writeQuantity(elements.equilibrium,  elements.equilibriumUnit,  result.equilibriumTemperature);
+    writeQuantity(elements.dissipation,  elements.dissipationUnit,  result.dissipationAtMax);
+    writeQuantity(elements.cooler,       elements.coolerUnit,       result.coolerCapacity);
+    writeQuantity(elements.timeConstant, elements.timeConstantUnit, result.timeConstant);
+
+    const viscosity = OilProps.getPropertiesAtTemp(elements.fluid.value, result.equilibriumTemperature).kinematicViscosity;
+    if (Number.isFinite(viscosity.value)) {
+      writeQuantity(elements.viscosity, elements.viscosityUnit, viscosity);
+    } else {
+      elements.viscosity.value = "";
+    }
+
+    elements.status.textContent = result.overfilled
+      ? "Oil volume exceeds the tank; the full wall height is used"
+      : result.coolerCapacity.value > 0
+        ? "The tank alone cannot hold the maximum oil temperature: a cooler is needed"
+        : "The tank dissipates the heat load below the maximum oil temperature";
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcHeatBalance);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcHeatBalance();
+    });
+  });
+  elements.efficiency.addEventListener("input", calcHeatBalance);
+  [elements.fluid, elements.heatLoadUnit, elements.wettedAreaUnit, elements.equilibriumUnit, elements.viscosityUnit,
+   elements.dissipationUnit, elements.coolerUnit, elements.timeConstantUnit]
+    .forEach(e => e.addEventListener("change", calcHeatBalance));
+
+  // Take the shaft input power from the Pump / Motor calculator
+  elements.usePumpPower.addEventListener("click", () => {
+    const power = readQuantity(document.getElementById("pmInputPower"), document.getElementById("pmInputPowerUnit"));
+    if (!power) return;
+    writeQuantity(elements.pumpPower, elements.pumpPowerUnit, power);
+    calcHeatBalance();
+  });
+
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(calcHeatBalance);
+}
+
+// ========== ACCUMULATOR SIZING CALCULATOR ==========
+// Gas law p·V^n = const between precharge p0, minimum p1 and maximum p2 (absolute pressures):
+// Delivered volume  ΔV = V0 · [(p0/p1)^(1/n) − (p0/p2)^(1/n)]
+// n = 1 is Boyle's law (slow, isothermal); n ≈ 1.4 for nitrogen in fast, adiabatic cycles.
+
+/**
+ * Fraction of the accumulator volume delivered between minimum and maximum pressure.
+ *
+ * @param {Object} accumulator
+ * @param {Quantity} accumulator.precharge - Gas precharge pressure (gauge or absolute unit)
+ * @param {Quantity} accumulator.minPressure - Minimum system pressure
+ * @param {Quantity} accumulator.maxPressure - Maximum system pressure
+ * @param {number} [accumulator.polytropicIndex=1] - 1 for isothermal, 1.4 for adiabatic nitrogen
+ * @returns {Quantity} Dimensionless ΔV / V0
+ */
+function accumulatorDeliveryFraction({ precharge, minPressure, maxPressure, polytropicIndex = 1 }) {
+  const absolute = q => q.to("bara").to("Pa");
+  const p0 = absolute(precharge);
+  const gasVolumeAt = p => p0.divide(absolute(p)).to("1").pow(1 / polytropicIndex).to("1");
+  return gasVolumeAt(minPressure).subtract(gasVolumeAt(maxPressure));
+}
+
+/**
+ * Accumulator size for a delivered volume, and usable volume of a given size,
+ * by Boyle's law and by the polytropic relation.
+ *
+ * @param {Object} accumulator
+ * @param {Quantity} accumulator.precharge
+ * @param {Quantity} accumulator.minPressure
+ * @param {Quantity} accumulator.maxPressure
+ * @param {number} accumulator.polytropicIndex - Exponent for the adiabatic case, e.g. 1.4
+ * @param {Quantity} [accumulator.deliveredVolume] - Required oil volume ΔV
+ * @param {Quantity} [accumulator.size] - Accumulator (gas) volume V0
+ * @returns {{ isothermal: Object, adiabatic: Object }} Each with fraction, and requiredSize /
+ *   usableVolume in the unit of the matching input (null when that input was not given)
+ */
+function accumulatorSizing({ precharge, minPressure, maxPressure, polytropicIndex, deliveredVolume, size }) {
+  const solve = n => {
+    const fraction = accumulatorDeliveryFraction({ precharge, minPressure, maxPressure, polytropicIndex: n });
+    return {
+      fraction,
+      requiredSize: deliveredVolume ? deliveredVolume.divide(fraction).to(deliveredVolume.unit) : null,
+      usableVolume: size ? size.multiply(fraction).to(size.unit) : null
+    };
+  };
+  return { isothermal: solve(1), adiabatic: solve(polytropicIndex) };
+}
+
+/**
+ * Initialize the accumulator sizing calculator.
+ * Pressures use the gauge/absolute units, so barg and bara inputs can be mixed.
+ */
+function initializeAccumulatorCalculator() {
+  const elements = {
+    precharge:            document.getElementById("acPrecharge"),
+    minPressure:          document.getElementById("acMinPressure"),
+    maxPressure:          document.getElementById("acMaxPressure"),
+    index:                document.getElementById("acIndex"),
+    volume:               document.getElementById("acVolume"),
+    sizeIsothermal:       document.getElementById("acSizeIsothermal"),
+    sizeAdiabatic:        document.getElementById("acSizeAdiabatic"),
+    size:                 document.getElementById("acSize"),
+    usableIsothermal:     document.getElementById("acUsableIsothermal"),
+    usableAdiabatic:      document.getElementById("acUsableAdiabatic"),
+    status:               document.getElementById("acStatus"),
+    prechargeUnit:        document.getElementById("acPrechargeUnit"),
+    minPressureUnit:      document.getElementById("acMinPressureUnit"),
+    maxPressureUnit:      document.getElementById("acMaxPressureUnit"),
+    volumeUnit:           document.getElementById("acVolumeUnit"),
+    sizeIsothermalUnit:   document.getElementById("acSizeIsothermalUnit"),
+    sizeAdiabaticUnit:    document.getElementById("acSizeAdiabaticUnit"),
+    sizeUnit:             document.getElementById("acSizeUnit"),
+    usableIsothermalUnit: document.getElementById("acUsableIsothermalUnit"),
+    usableAdiabaticUnit:  document.getElementById("acUsableAdiabaticUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Accumulator calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.prechargeUnit,        "gauge pressure", "barg", elements.precharge);
+  populateUnitSelect(elements.minPressureUnit,      "gauge pressure", "barg", elements.minPressure);
+  populateUnitSelect(elements.maxPressureUnit,      "gauge pressure", "barg", elements.maxPressure);
+  populateUnitSelect(elements.volumeUnit,           "volume",         "L",    elements.volume);
+  populateUnitSelect(elements.sizeUnit,             "volume",         "L",    elements.size);
+  populateUnitSelect(elements.sizeIsothermalUnit,   "volume",         "L");
+  populateUnitSelect(elements.sizeAdiabaticUnit,    "volume",         "L");
+  populateUnitSelect(elements.usableIsothermalUnit, "volume",         "L");
+  populateUnitSelect(elements.usableAdiabaticUnit,  "volume",         "L");
+
+  const inputs = [
+    [elements.precharge,   elements.prechargeUnit],
+    [elements.minPressure, elements.minPressureUnit],
+    [elements.maxPressure, elements.maxPressureUnit],
+    [elements.volume,      elements.volumeUnit],
+    [elements.size,        elements.sizeUnit]
+  ];
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  const outputs = [
+    [elements.sizeIsothermal,   elements.sizeIsothermalUnit],
+    [elements.sizeAdiabatic,    elements.sizeAdiabaticUnit],
+    [elements.usableIsothermal, elements.usableIsothermalUnit],
+    [elements.usableAdiabatic,  elements.usableAdiabaticUnit]
+  ];
+
+  function clearResults(message) {
+    outputs.forEach(([outputEl]) => { outputEl.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  // -- Required size from ΔV, usable volume from V0 --
+  function calcAccumulator() {
+    const [precharge, minPressure, maxPressure, deliveredVolume, size] =
+      inputs.map(([inputEl, unitEl]) => readQuantity(inputEl, unitEl));
+    const polytropicIndex = parseLocaleNumber(elements.index.value);
+
+    if (!precharge || !minPressure || !maxPressure) {
+      clearResults("");
+      return;
+    }
+    if (!(polytropicIndex >= 1)) {
+      clearResults("Polytropic index must be at least 1 (1.4 for nitrogen)");
+      return;
+    }
+    const [p0, p1, p2] = [precharge, minPressure, maxPressure].map(p => p.to("bara").value);
+    if (!(p0 > 0 && p0 < p1 && p1 < p2)) {
+      clearResults("Pressures must satisfy 0 < precharge < minimum < maximum (absolute)");
+      return;
+    }
+
+    const result = accumulatorSizing({
+      precharge, minPressure, maxPressure, polytropicIndex,
+      deliveredVolume: deliveredVolume && deliveredVolume.value > 0 ? deliveredVolume : null,
+      size: size && size.value > 0 ? size : null
+    });
+    const results = [
+      result.isothermal.requiredSize, result.adiabatic.requiredSize,
+      result.isothermal.usableVolume, result.adiabatic.usableVolume
+    ];
+    outputs.forEach(([outputEl, unitEl], i) => {
+      if (results[i]) {
+        writeQuantity(outputEl, unitEl, results[i]);
+      } else {
+        outputEl.value = "";
+      }
+    });
+
+    // Bladder accumulators are usually precharged to about 90 % of the minimum pressure
+    elements.status.textContent = p0 > 0.9 * p1
+      ? "Precharge is above 90 % of the minimum pressure: the bladder may close before reaching it"
+      : `Delivered fraction: ${formatLocaleNumber(result.isothermal.fraction.value * 100, 1)} % isothermal, ` +
+        `${formatLocaleNumber(result.adiabatic.fraction.value * 100, 1)} % adiabatic`;
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcAccumulator);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcAccumulator();
+    });
+  });
+  elements.index.addEventListener("input", calcAccumulator);
+  outputs.forEach(([, unitEl]) => unitEl.addEventListener("change", calcAccumulator));
+
+  calcAccumulator();
+}
+
+// ========== BULK MODULUS & ENTRAINED AIR CALCULATOR ==========
+// Air fraction α is measured at atmospheric pressure p_a and compresses as p·V^n = const;
+// the oil compresses with its own modulus K_oil. Relative to the volume V_a at p_a:
+// Volume ratio   V/V_a = (1 − α)·exp(−(p − p_a)/K_oil) + α·(p_a/p)^(1/n)
+// Modulus        1/K_eff = (V_oil/V)/K_oil + (V_air/V)/(n·p)
+
+/** Number of points in the stiffness-vs-air sweep */
+const BULK_MODULUS_SWEEP_POINTS = 101;
+/** Upper end of the stiffness-vs-air sweep (volume fraction at atmospheric pressure) */
+const BULK_MODULUS_SWEEP_MAX_AIR = 0.1;
+
+/**
+ * Effective bulk modulus of oil with entrained air.
+ *
+ * @param {Object} mixture
+ * @param {Quantity} mixture.pressure - System pressure (gauge or absolute unit)
+ * @param {Quantity} mixture.airFraction - Air volume fraction at atmospheric pressure (unit "1", 0–1)
+ * @param {Quantity} mixture.oilModulus - Bulk modulus of the air-free oil
+ * @param {number} [mixture.polytropicIndex=1.4] - 1 for slow, 1.4 for fast compression of the air
+ * @returns {{ bulkModulus: Quantity, volumeRatio: Quantity, airFractionAtPressure: Quantity }}
+ *   Modulus in Pa; volume ratio V/V_a and air volume fraction at the system pressure (unit "1")
+ */
+function effectiveBulkModulus({ pressure, airFraction, oilModulus, polytropicIndex = 1.4 }) {
+  const one = new Quantity(1, "1");
+  const pAtm = new Quantity(getAtmosphericPressure("Pa"), "Pa");
+  const p = pressure.to("bara").to("Pa");
+  const K = oilModulus.to("Pa");
+
+  // exp(−x) with u = exp(−x)·u(x)
+  const strain = p.subtract(pAtm).divide(K).to("1");
+  const shrink = Math.exp(-strain.value);
+  const oilVolume = one.subtract(airFraction).multiply(new Quantity(shrink, "1", shrink * strain.uncertainty));
+  const airVolume = airFraction.multiply(pAtm.divide(p).to("1").pow(1 / polytropicIndex).to("1"));
+  const volumeRatio = oilVolume.add(airVolume);
+  const compliance = oilVolume.divide(K).add(airVolume.divide(p.multiply(polytropicIndex))).divide(volumeRatio);
+
+  return {
+    bulkModulus: one.divide(compliance).to("Pa"),
+    volumeRatio,
+    airFractionAtPressure: airVolume.divide(volumeRatio).to("1")
+  };
+}
+
+/**
+ * Effective modulus as a share of the air-free oil modulus across air content.
+ *
+ * @param {Quantity} pressure
+ * @param {Quantity} oilModulus
+ * @param {number} polytropicIndex
+ * @returns {Array<{x: number, y: number}>} Air content (%) and stiffness retained (%)
+ */
+function bulkModulusAirSweep(pressure, oilModulus, polytropicIndex) {
+  const K = oilModulus.to("Pa").value;
+  const points = [];
+  for (let i = 0; i < BULK_MODULUS_SWEEP_POINTS; i++) {
+    const airFraction = new Quantity(BULK_MODULUS_SWEEP_MAX_AIR * i / (BULK_MODULUS_SWEEP_POINTS - 1), "1");
+    const { bulkModulus } = effectiveBulkModulus({ pressure, airFraction, oilModulus, polytropicIndex });
+    points.push({ x: airFraction.value * 100, y: bulkModulus.value / K * 100 });
+  }
+  return points;
+}
+
+/**
+ * Initialize the bulk modulus and entrained air calculator.
+ */
+function initializeBulkModulusCalculator() {
+  const elements = {
+    fluid:             document.getElementById("bmFluid"),
+    temperature:       document.getElementById("bmTemperature"),
+    pressure:          document.getElementById("bmPressure"),
+    air:               document.getElementById("bmAir"),
+    oilModulus:        document.getElementById("bmOilModulus"),
+    index:             document.getElementById("bmIndex"),
+    volume:            document.getElementById("bmVolume"),
+    modulus:           document.getElementById("bmModulus"),
+    stiffness:         document.getElementById("bmStiffness"),
+    density:           document.getElementById("bmDensity"),
+    compression:       document.getElementById("bmCompression"),
+    chart:             document.getElementById("bmChart"),
+    status:            document.getElementById("bmStatus"),
+    temperatureUnit:   document.getElementById("bmTemperatureUnit"),
+    pressureUnit:      document.getElementById("bmPressureUnit"),
+    oilModulusUnit:    document.getElementById("bmOilModulusUnit"),
+    volumeUnit:        document.getElementById("bmVolumeUnit"),
+    modulusUnit:       document.getElementById("bmModulusUnit"),
+    densityUnit:       document.getElementById("bmDensityUnit"),
+    compressionUnit:   document.getElementById("bmCompressionUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Bulk modulus calculator: missing DOM elements");
+    return;
+  }
+
+  // Seed the air-free modulus in the select's default unit, before it is converted to the preferred one
+  elements.oilModulus.value = formatLocaleInput(convertUnit("Pa", "GPa", OIL_BULK_MODULUS));
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.temperatureUnit, "temperature",    "C",      elements.temperature);
+  populateUnitSelect(elements.pressureUnit,    "gauge pressure", "barg",   elements.pressure);
+  populateUnitSelect(elements.oilModulusUnit,  "pressure",       "GPa",    elements.oilModulus);
+  populateUnitSelect(elements.volumeUnit,      "volume",         "L",      elements.volume);
+  populateUnitSelect(elements.modulusUnit,     "pressure",       "MPa");
+  populateUnitSelect(elements.densityUnit,     "density",        "kg/m^3");
+  populateUnitSelect(elements.compressionUnit, "volume",         "mL");
+
+  const inputs = [
+    [elements.temperature, elements.temperatureUnit],
+    [elements.pressure,    elements.pressureUnit],
+    [elements.oilModulus,  elements.oilModulusUnit],
+    [elements.volume,      elements.volumeUnit]
+  ];
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  let chart = null;
+
+  function clearResults(message) {
+    [elements.modulus, elements.stiffness, elements.density, elements.compression].forEach(e => { e.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  /**
+   * Plot stiffness retained against air content, marking the current mixture.
+   * @param {Array<{x: number, y: number}>} points - From bulkModulusAirSweep
+   * @param {{x: number, y: number}} current
+   */
+  function updateChart(points, current) {
+    if (typeof Chart === "undefined") return;
+    const datasets = [
+      { label: "K_eff / K_oil", data: points, borderColor: "rgba(54, 162, 235, 1)", borderWidth: 2, pointRadius: 0 },
+      { label: "Current air content", data: [current], type: "scatter",
+        backgroundColor: "#dc2626", borderColor: "#dc2626", pointRadius: 5 }
+    ];
+
+    if (chart) {
+      chart.data.datasets = datasets;
+      chart.update();
+      return;
+    }
+    chart = new Chart(elements.chart, {
+      type: "line",
+      data: { datasets },
+      options: {
+        responsive: true,
+        parsing: false,
+        animation: false,
+        plugins: {
+          legend: { position: "bottom", labels: { font: { size: 11 }, boxWidth: 14 } },
+          tooltip: {
+            callbacks: {
+              label: ctx => `${formatLocaleNumber(ctx.parsed.x, 2)} % air: ${formatLocaleNumber(ctx.parsed.y, 1)} %`
+            }
+          }
+        },
+        scales: {
+          x: { type: "linear", title: { display: true, text: "Entrained air at atmospheric pressure (%)" } },
+          y: { type: "linear", min: 0, max: 100, title: { display: true, text: "Stiffness retained (%)" } }
+        }
+      }
+    });
+  }
+
+  // -- Effective modulus, mixture density and compression volume --
+  function calcBulkModulus() {
+    const [temperature, pressure, oilModulus, volume] = inputs.map(([inputEl, unitEl]) => readQuantity(inputEl, unitEl));
+    const air = parseMeasurement(elements.air.value);
+    const polytropicIndex = parseLocaleNumber(elements.index.value);
+
+    if (!pressure || !oilModulus || !air) {
+      clearResults("");
+      return;
+    }
+    const airPercent = air.value;
+    if (airPercent < 0 || airPercent >= 100 || !(oilModulus.value > 0) || !(polytropicIndex >= 1)) {
+      clearResults("Air content must be 0–100 %, the oil modulus above 0 and the polytropic index at least 1");
+      return;
+    }
+    if (!(pressure.to("bara").value > 0)) {
+      clearResults("Pressure must be above vacuum");
+      return;
+    }
+
+    const one = new Quantity(1, "1");
+    const airFraction = new Quantity(airPercent / 100, "1", air.uncertainty / 100);
+    const mixture = { pressure, oilModulus, polytropicIndex };
+    const result = effectiveBulkModulus({ ...mixture, airFraction });
+    const airFree = effectiveBulkModulus({ ...mixture, airFraction: new Quantity(0, "1") });
+    const retained = result.bulkModulus.divide(oilModulus).to("1");
+
+    writeQuantity(elements.modulus, elements.modulusUnit, result.bulkModulus);
+    elements.stiffness.value = formatSignificant(retained.value * 100, retained.uncertainty * 100);
+
+    // Oil mass only; the air adds volume but next to no mass
+    const oilDensity = temperature && elements.fluid.value
+      ? OilProps.getPropertiesAtTemp(elements.fluid.value, temperature).density
+      : null;
+    if (oilDensity && Number.isFinite(oilDensity.value)) {
+      writeQuantity(elements.density, elements.densityUnit,
+        oilDensity.multiply(one.subtract(airFraction)).divide(result.volumeRatio));
+    } else {
+      elements.density.value = "";
+    }
+
+    // Mixture (at atmospheric volume) pumped into a rigid volume to raise it to the system pressure
+    let note = "";
+    if (volume && volume.value > 0) {
+      writeQuantity(elements.compression, elements.compressionUnit,
+        volume.multiply(one.divide(result.volumeRatio).subtract(one)));
+      const ratio = (1 / result.volumeRatio.value - 1) / (1 / airFree.volumeRatio.value - 1);
+      if (airFraction.value > 0 && Number.isFinite(ratio)) {
+        note = `; ${formatLocaleNumber(ratio, 1)}× the compression volume of air-free oil`;
+      }
+    } else {
+      elements.compression.value = "";
+    }
+    elements.status.textContent =
+      `Air at system pressure: ${formatLocaleNumber(result.airFractionAtPressure.value * 100, 3)} % of the volume${note}`;
+
+    updateChart(bulkModulusAirSweep(pressure, oilModulus, polytropicIndex),
+      { x: airPercent, y: retained.value * 100 });
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcBulkModulus);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcBulkModulus();
+    });
+  });
+  [elements.air, elements.index].forEach(e => e.addEventListener("input", calcBulkModulus));
+  [elements.fluid, elements.modulusUnit, elements.densityUnit, elements.compressionUnit]
+    .forEach(e => e.addEventListener("change", calcBulkModulus));
+
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(calcBulkModulus);
+}
+
+// ========== ORIFICE & RESTRICTOR CALCULATOR ==========
+// Orifice equation  Q = Cd·A·√(2ΔP/ρ),  A = π·d²/4
+// Bore Reynolds     Re = ρ·V·d/μ = 4ρQ/(π·d·μ)
+// Discharge coeff.  Cd = Cd∞·tanh(δ·√Re / Cd∞): Cd ≈ δ·√Re when laminar (Merritt),
+//                   Cd → Cd∞ (≈ 0.61 for a sharp edge) when turbulent.
+// Cd depends on the unknown through Re, so flow and diameter are found by fixed-point iteration.
+
+/** Turbulent discharge coefficient of a sharp-edged orifice */
+const ORIFICE_TURBULENT_CD = 0.611;
+/** Laminar slope δ of Cd = δ·√Re for a sharp-edged orifice */
+const ORIFICE_LAMINAR_SLOPE = 0.2;
+const ORIFICE_MAX_ITERATIONS = 100;
+
+/**
+ * Reynolds-dependent discharge coefficient of a sharp-edged orifice.
+ *
+ * @param {number} Re - Bore Reynolds number
+ * @param {number} [turbulentCd=ORIFICE_TURBULENT_CD] - Cd reached at high Re
+ * @returns {number} Cd
+ */
+function orificeDischargeCoefficient(Re, turbulentCd = ORIFICE_TURBULENT_CD) {
+  return turbulentCd * Math.tanh(ORIFICE_LAMINAR_SLOPE * Math.sqrt(Math.max(Re, 0)) / turbulentCd);
+}
+
+/**
+ * Solve the orifice equation for flow, diameter or pressure drop.
+ * Input uncertainties are carried through; Cd's share is half its spread over Re ± u(Re).
+ *
+ * @param {Object} orifice
+ * @param {'flow'|'diameter'|'pressureDrop'} orifice.solveFor - The unknown; the other two must be given
+ * @param {Quantity} [orifice.flow]
+ * @param {Quantity} [orifice.diameter]
+ * @param {Quantity} [orifice.pressureDrop]
+ * @param {Quantity} orifice.density
+ * @param {Quantity} orifice.dynamicViscosity
+ * @param {number} [orifice.turbulentCd=ORIFICE_TURBULENT_CD]
+ * @returns {{ flow: Quantity, diameter: Quantity, pressureDrop: Quantity, velocity: Quantity,
+ *   reynolds: Quantity, dischargeCoefficient: Quantity }} SI units (m^3/s, m, Pa, m/s; Re and Cd in "1")
+ */
+function orificeFlow({ solveFor, flow, diameter, pressureDrop, density, dynamicViscosity,
+                       turbulentCd = ORIFICE_TURBULENT_CD }) {
+  let Q = flow ? flow.to("m^3/s") : null;
+  let d = diameter ? diameter.to("m") : null;
+  let dP = pressureDrop ? pressureDrop.to("Pa") : null;
+  const jetVelocity = dP ? dP.multiply(2).divide(density).pow(0.5).to("m/s") : null;
+
+  const reynoldsOf = (Q, d) =>
+    density.multiply(Q).multiply(4).divide(dynamicViscosity.multiply(d).multiply(Math.PI)).to("1");
+  const dischargeCoefficientOf = reynolds => {
+    const Re = reynolds.value;
+    const uRe = reynolds.uncertainty;
+    const uCd = uRe > 0 && Re - uRe > 0
+      ? Math.abs(orificeDischargeCoefficient(Re + uRe, turbulentCd) - orificeDischargeCoefficient(Re - uRe, turbulentCd)) / 2
+      : 0;
+    return new Quantity(orificeDischargeCoefficient(Re, turbulentCd), "1", uCd);
+  };
+  // Q = Cd·A·V_jet and d = √(4Q / (π·Cd·V_jet)), with V_jet = √(2ΔP/ρ)
+  const flowFor = (Cd, d) => circleArea(d).multiply(Cd).multiply(jetVelocity).to("m^3/s");
+  const diameterFor = (Cd, Q) => Q.multiply(4).divide(jetVelocity.multiply(Cd).multiply(Math.PI)).pow(0.5).to("m");
+
+  let Cd;
+
+  if (solveFor === "pressureDrop") {
+    Cd = dischargeCoefficientOf(reynoldsOf(Q, d));
+    dP = density.divide(2).multiply(Q.divide(circleArea(d).multiply(Cd)).pow(2)).to("Pa");
+  } else {
+    // Converge Cd on nominal values, then apply it with its uncertainty
+    const solve = Cd => (solveFor === "flow" ? flowFor(Cd, d) : diameterFor(Cd, Q));
+    const reynoldsWith = unknown => (solveFor === "flow" ? reynoldsOf(unknown, d) : reynoldsOf(Q, unknown));
+    let cd = turbulentCd;
+    for (let i = 0; i < ORIFICE_MAX_ITERATIONS; i++) {
+      const next = orificeDischargeCoefficient(reynoldsWith(solve(new Quantity(cd, "1"))).value, turbulentCd);
+      const converged = Math.abs(next - cd) < 1e-9;
+      cd = next;
+      if (converged) break;
+    }
+    Cd = dischargeCoefficientOf(reynoldsWith(solve(new Quantity(cd, "1"))));
+    if (solveFor === "flow") {
+      Q = solve(Cd);
+    } else {
+      d = solve(Cd);
+    }
+  }
+
+  return {
+    flow: Q,
+    diameter: d,
+    pressureDrop: dP,
+    velocity: Q.divide(circleArea(d)).to("m/s"),
+    reynolds: reynoldsOf(Q, d),
+    dischargeCoefficient: Cd
+  };
+}
+
+/**
+ * Initialize the orifice and restrictor calculator.
+ * The "Solve for" field is read-only and filled from the other two.
+ */
+function initializeOrificeCalculator() {
+  const elements = {
+    solveFor:         document.getElementById("orSolveFor"),
+    flow:             document.getElementById("orFlow"),
+    diameter:         document.getElementById("orDiameter"),
+    pressureDrop:     document.getElementById("orPressureDrop"),
+    fluid:            document.getElementById("orFluid"),
+    temperature:      document.getElementById("orTemperature"),
+    turbulentCd:      document.getElementById("orTurbulentCd"),
+    density:          document.getElementById("orDensity"),
+    velocity:         document.getElementById("orVelocity"),
+    reynolds:         document.getElementById("orReynolds"),
+    cd:               document.getElementById("orCd"),
+    status:           document.getElementById("orStatus"),
+    flowUnit:         document.getElementById("orFlowUnit"),
+    diameterUnit:     document.getElementById("orDiameterUnit"),
+    pressureDropUnit: document.getElementById("orPressureDropUnit"),
+    temperatureUnit:  document.getElementById("orTemperatureUnit"),
+    densityUnit:      document.getElementById("orDensityUnit"),
+    velocityUnit:     document.getElementById("orVelocityUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Orifice calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.flowUnit,         "flow",        "L/min",  elements.flow);
+  populateUnitSelect(elements.diameterUnit,     "length",      "mm",     elements.diameter);
+  populateUnitSelect(elements.pressureDropUnit, "pressure",    "bar",    elements.pressureDrop);
+  populateUnitSelect(elements.temperatureUnit,  "temperature", "C",      elements.temperature);
+  populateUnitSelect(elements.densityUnit,      "density",     "kg/m^3");
+  populateUnitSelect(elements.velocityUnit,     "velocity",    "m/s");
+
+  const unknowns = {
+    flow:         [elements.flow,         elements.flowUnit],
+    diameter:     [elements.diameter,     elements.diameterUnit],
+    pressureDrop: [elements.pressureDrop, elements.pressureDropUnit]
+  };
+  const inputUnits = [...Object.values(unknowns), [elements.temperature, elements.temperatureUnit]];
+  inputUnits.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  function clearResults(message) {
+    [elements.density, elements.velocity, elements.reynolds, elements.cd].forEach(e => { e.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  function onSolveForChange() {
+    Object.entries(unknowns).forEach(([key, [inputEl]]) => { inputEl.readOnly = key === elements.solveFor.value; });
+    calcOrifice();
+  }
+
+  // -- Orifice equation with a Reynolds-dependent Cd --
+  function calcOrifice() {
+    const solveFor = elements.solveFor.value;
+    const known = {};
+    for (const [key, [inputEl, unitEl]] of Object.entries(unknowns)) {
+      if (key === solveFor) continue;
+      const q = readQuantity(inputEl, unitEl);
+      if (!q || !(q.value > 0)) {
+        unknowns[solveFor][0].value = "";
+        clearResults("");
+        return;
+      }
+      known[key] = q;
+    }
+    const T = readQuantity(elements.temperature, elements.temperatureUnit);
+    const turbulentCd = parseLocaleNumber(elements.turbulentCd.value);
+    if (!T || !elements.fluid.value) {
+      clearResults("");
+      return;
+    }
+    if (!(turbulentCd > 0 && turbulentCd <= 1)) {
+      clearResults("Turbulent Cd must be between 0 and 1");
+      return;
+    }
+
+    const fluid = OilProps.getPropertiesAtTemp(elements.fluid.value, T);
+    if (!Number.isFinite(fluid.density.value) || !Number.isFinite(fluid.dynamicViscosity.value)) {
+      clearResults("No property data for this fluid");
+      return;
+    }
+
+    const result = orificeFlow({
+      ...known,
+      solveFor,
+      density: fluid.density,
+      dynamicViscosity: fluid.dynamicViscosity,
+      turbulentCd
+    });
+
+    const [solvedEl, solvedUnitEl] = unknowns[solveFor];
+    writeQuantity(solvedEl, solvedUnitEl, result[solveFor]);
+    writeQuantity(elements.density,  elements.densityUnit,  fluid.density);
+    writeQuantity(elements.velocity, elements.velocityUnit, result.velocity);
+    elements.reynolds.value = formatSignificant(result.reynolds.value, result.reynolds.uncertainty);
+    elements.cd.value = formatSignificant(result.dischargeCoefficient.value, result.dischargeCoefficient.uncertainty);
+
+    elements.status.textContent = result.dischargeCoefficient.value < 0.95 * turbulentCd
+      ? "Low Reynolds number: Cd is below its turbulent value, so the flow depends on viscosity and temperature"
+      : "Turbulent orifice flow: Cd is close to constant and the flow hardly depends on viscosity";
+  }
+
+  inputUnits.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcOrifice);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcOrifice();
+    });
+  });
+  elements.turbulentCd.addEventListener("input", calcOrifice);
+  elements.solveFor.addEventListener("change", onSolveForChange);
+  [elements.fluid, elements.densityUnit, elements.velocityUnit].forEach(e => e.addEventListener("change", calcOrifice));
+
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(onSolveForChange);
+}
+
+// ========== TANK RESIDENCE TIME CALCULATOR ==========
+// Residence time     t = V / Q
+// Conventional rule  V = 3 min × Q (the tank holds three minutes of pump flow)
+// With RKT/RFT       V = rule volume / reduction (Air-X deaeration filters)
+
+/** Conventional tank sizing: minutes of pump flow held in the reservoir */
+const TANK_RULE_MINUTES = 3;
+/**
+ * Tank size reduction with RKT/RFT (Air-X) deaeration filters: the standard vs Air-X oil
+ * volume of the sample on the Filter Technology page, 23.8 gal / 16.6 gal
+ * (src/pages/filter-technology.astro, ValueHypothesisTable).
+ */
+const RKT_RFT_TANK_REDUCTION = 1.43;
+
+/**
+ * Residence time of a reservoir and the tank volumes given by the rule of thumb.
+ *
+ * @param {Object} tank
+ * @param {Quantity} tank.flow - Pump flow
+ * @param {Quantity} [tank.oilVolume] - Current oil volume
+ * @param {number} [tank.ruleMinutes=TANK_RULE_MINUTES]
+ * @param {number} [tank.reduction=RKT_RFT_TANK_REDUCTION] - Size reduction factor with deaeration
+ * @returns {{ residenceTime: Quantity|null, ruleVolume: Quantity, reducedVolume: Quantity, volumeSaved: Quantity }}
+ *   Time in min, volumes in L; residenceTime is null without an oil volume
+ */
+function tankResidence({ flow, oilVolume, ruleMinutes = TANK_RULE_MINUTES, reduction = RKT_RFT_TANK_REDUCTION }) {
+  const ruleVolume = flow.multiply(new Quantity(ruleMinutes, "min")).to("L");
+  const reducedVolume = ruleVolume.divide(reduction);
+  return {
+    residenceTime: oilVolume ? oilVolume.divide(flow).to("min") : null,
+    ruleVolume,
+    reducedVolume,
+    volumeSaved: ruleVolume.subtract(reducedVolume)
+  };
+}
+
+/**
+ * Initialize the tank residence time calculator.
+ * The oil volume can be prefilled from the Tank Visualizer link (?ov=…&ovu=…).
+ */
+function initializeResidenceTimeCalculator() {
+  const elements = {
+    flow:              document.getElementById("rtFlow"),
+    oilVolume:         document.getElementById("rtOilVolume"),
+    ruleMinutes:       document.getElementById("rtRuleMinutes"),
+    reduction:         document.getElementById("rtReduction"),
+    residence:         document.getElementById("rtResidence"),
+    ruleVolume:        document.getElementById("rtRuleVolume"),
+    reducedVolume:     document.getElementById("rtReducedVolume"),
+    saved:             document.getElementById("rtSaved"),
+    status:            document.getElementById("rtStatus"),
+    flowUnit:          document.getElementById("rtFlowUnit"),
+    oilVolumeUnit:     document.getElementById("rtOilVolumeUnit"),
+    residenceUnit:     document.getElementById("rtResidenceUnit"),
+    ruleVolumeUnit:    document.getElementById("rtRuleVolumeUnit"),
+    reducedVolumeUnit: document.getElementById("rtReducedVolumeUnit"),
+    savedUnit:         document.getElementById("rtSavedUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Residence time calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.flowUnit,          "flow",   "L/min", elements.flow);
+  populateUnitSelect(elements.oilVolumeUnit,     "volume", "L",     elements.oilVolume);
+  populateUnitSelect(elements.residenceUnit,     "time",   "min");
+  populateUnitSelect(elements.ruleVolumeUnit,    "volume", "L");
+  populateUnitSelect(elements.reducedVolumeUnit, "volume", "L");
+  populateUnitSelect(elements.savedUnit,         "volume", "L");
+
+  elements.ruleMinutes.value = formatLocaleInput(TANK_RULE_MINUTES);
+  elements.reduction.value = formatLocaleInput(RKT_RFT_TANK_REDUCTION);
+  prefillFromUrl([["ov", "ovu", elements.oilVolume, elements.oilVolumeUnit]]);
+
+  const inputs = [
+    [elements.flow,      elements.flowUnit],
+    [elements.oilVolume, elements.oilVolumeUnit]
+  ];
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  function clearResults(message) {
+    [elements.residence, elements.ruleVolume, elements.reducedVolume, elements.saved].forEach(e => { e.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  // -- Residence time against the rule of thumb and the deaeration filter --
+  function calcResidence() {
+    const flow = readQuantity(elements.flow, elements.flowUnit);
+    const oilVolume = readQuantity(elements.oilVolume, elements.oilVolumeUnit);
+    const ruleMinutes = parseLocaleNumber(elements.ruleMinutes.value);
+    const reduction = parseLocaleNumber(elements.reduction.value);
+
+    if (!flow || !(flow.value > 0)) {
+      clearResults("");
+      return;
+    }
+    if (!(ruleMinutes > 0) || !(reduction >= 1)) {
+      clearResults("Rule of thumb must be above 0 minutes and the reduction at least 1×");
+      return;
+    }
+
+    const result = tankResidence({
+      flow,
+      oilVolume: oilVolume && oilVolume.value > 0 ? oilVolume : null,
+      ruleMinutes,
+      reduction
+    });
+    writeQuantity(elements.ruleVolume,    elements.ruleVolumeUnit,    result.ruleVolume);
+    writeQuantity(elements.reducedVolume, elements.reducedVolumeUnit, result.reducedVolume);
+    writeQuantity(elements.saved,         elements.savedUnit,         result.volumeSaved);
+
+    if (!result.residenceTime) {
+      elements.residence.value = "";
+      elements.status.textContent = "";
+      return;
+    }
+    writeQuantity(elements.residence, elements.residenceUnit, result.residenceTime);
+    const minutes = result.residenceTime.to("min").value;
+    const reducedMinutes = ruleMinutes / reduction;
+    const rule = `${formatLocaleInput(ruleMinutes)}-minute rule`;
+    elements.status.textContent = minutes >= ruleMinutes
+      ? `The tank meets the ${rule}; with an RKT/RFT filter ` +
+        `${formatLocaleNumber(reducedMinutes, 1)} min of flow would be enough`
+      : minutes >= reducedMinutes
+        ? `Below the ${rule}, but within reach with an RKT/RFT filter`
+        : "Below the rule of thumb even with an RKT/RFT filter: expect air and heat problems";
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcResidence);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcResidence();
+    });
+  });
+  [elements.ruleMinutes, elements.reduction].forEach(e => e.addEventListener("input", calcResidence));
+  [elements.residenceUnit, elements.ruleVolumeUnit, elements.reducedVolumeUnit, elements.savedUnit]
+    .forEach(e => e.addEventListener("change", calcResidence));
+
+  calcResidence();
+}
+
+// ========== THERMAL EXPANSION & HEADSPACE CALCULATOR ==========
+// Fluid mode   V_max = V_fill · ρ(T_fill) / ρ(T_max) with OilProps densities
+// Manual mode  V_max = V_fill · (1 + β·(T_max − T_fill))
+// All of the system's expansion ends up in the tank: headspace ≥ ΔV, level rise = ΔV / (W·L)
+
+/** Volumetric expansion coefficient of mineral hydraulic oil (1/K), used without fluid data */
+const OIL_EXPANSION_COEFFICIENT = 7e-4;
+
+/**
+ * Expansion of the system oil volume between fill and maximum temperature.
+ *
+ * @param {Object} system
+ * @param {Quantity} system.volume - Oil volume at the fill temperature (tank, lines and components)
+ * @param {Quantity} system.fillTemperature
+ * @param {Quantity} system.maxTemperature
+ * @param {string} [system.fluid] - OilProps fluid name; without it `coefficient` is used
+ * @param {number} [system.coefficient=OIL_EXPANSION_COEFFICIENT] - Volumetric expansion coefficient β (1/K)
+ * @param {Quantity} [system.footprint] - Tank floor area, for the level rise
+ * @returns {{ expandedVolume: Quantity, expansion: Quantity, coefficient: number, levelRise: Quantity|null }}
+ *   Volumes in the unit of `volume`; coefficient is the mean β over the range; levelRise in m
+ */
+function oilThermalExpansion({ volume, fillTemperature, maxTemperature, fluid,
+                               coefficient = OIL_EXPANSION_COEFFICIENT, footprint }) {
+  const rise = maxTemperature.subtract(fillTemperature).to("ΔK");
+  const ratio = fluid
+    ? OilProps.getPropertiesAtTemp(fluid, fillTemperature).density
+        .divide(OilProps.getPropertiesAtTemp(fluid, maxTemperature).density).to("1")
+    : new Quantity(1, "1").add(new Quantity(coefficient, "1/K").multiply(rise).to("1"));
+
+  const expansion = volume.multiply(ratio.subtract(new Quantity(1, "1"))).to(volume.unit);
+  return {
+    expandedVolume: volume.multiply(ratio).to(volume.unit),
+    expansion,
+    coefficient: rise.value !== 0 ? (ratio.value - 1) / rise.value : coefficient,
+    levelRise: footprint ? expansion.divide(footprint).to("m") : null
+  };
+}
+
+/**
+ * Initialize the thermal expansion and headspace calculator.
+ * The tank footprint can be prefilled from the Tank Visualizer link (?tw=…&tl=…).
+ */
+function initializeThermalExpansionCalculator() {
+  const elements = {
+    volume:             document.getElementById("teVolume"),
+    fillTemp:           document.getElementById("teFillTemp"),
+    maxTemp:            document.getElementById("teMaxTemp"),
+    fluid:              document.getElementById("teFluid"),
+    coefficient:        document.getElementById("teCoefficient"),
+    width:              document.getElementById("teWidth"),
+    length:             document.getElementById("teLength"),
+    expandedVolume:     document.getElementById("teExpandedVolume"),
+    headspace:          document.getElementById("teHeadspace"),
+    levelRise:          document.getElementById("teLevelRise"),
+    status:             document.getElementById("teStatus"),
+    volumeUnit:         document.getElementById("teVolumeUnit"),
+    fillTempUnit:       document.getElementById("teFillTempUnit"),
+    maxTempUnit:        document.getElementById("teMaxTempUnit"),
+    widthUnit:          document.getElementById("teWidthUnit"),
+    lengthUnit:         document.getElementById("teLengthUnit"),
+    expandedVolumeUnit: document.getElementById("teExpandedVolumeUnit"),
+    headspaceUnit:      document.getElementById("teHeadspaceUnit"),
+    levelRiseUnit:      document.getElementById("teLevelRiseUnit")
+  };
+
+  if (!Object.values(elements).every(Boolean)) {
+    console.warn("Thermal expansion calculator: missing DOM elements");
+    return;
+  }
+
+  // Populate unit dropdowns from unit_converter.js data
+  populateUnitSelect(elements.volumeUnit,         "volume",      "L",  elements.volume);
+  populateUnitSelect(elements.fillTempUnit,       "temperature", "C",  elements.fillTemp);
+  populateUnitSelect(elements.maxTempUnit,        "temperature", "C",  elements.maxTemp);
+  populateUnitSelect(elements.widthUnit,          "length",      "m",  elements.width);
+  populateUnitSelect(elements.lengthUnit,         "length",      "m",  elements.length);
+  populateUnitSelect(elements.expandedVolumeUnit, "volume",      "L");
+  populateUnitSelect(elements.headspaceUnit,      "volume",      "L");
+  populateUnitSelect(elements.levelRiseUnit,      "length",      "mm");
+
+  elements.coefficient.value = formatLocaleInput(OIL_EXPANSION_COEFFICIENT);
+  prefillFromUrl([
+    ["tw", "twu", elements.width,  elements.widthUnit],
+    ["tl", "tlu", elements.length, elements.lengthUnit]
+  ]);
+
+  const inputs = [
+    [elements.volume,   elements.volumeUnit],
+    [elements.fillTemp, elements.fillTempUnit],
+    [elements.maxTemp,  elements.maxTempUnit],
+    [elements.width,    elements.widthUnit],
+    [elements.length,   elements.lengthUnit]
+  ];
+  inputs.forEach(([, unitEl]) => { unitEl.dataset.old = unitEl.value; });
+
+  function clearResults(message) {
+    [elements.expandedVolume, elements.headspace, elements.levelRise].forEach(e => { e.value = ""; });
+    elements.status.textContent = message;
+  }
+
+  // -- Expanded volume, minimum headspace and level rise --
+  function calcThermalExpansion() {
+    const [volume, fillTemperature, maxTemperature, width, length] =
+      inputs.map(([inputEl, unitEl]) => readQuantity(inputEl, unitEl));
+    const fluid = elements.fluid.value;
+    const coefficient = parseLocaleNumber(elements.coefficient.value);
+
+    if (!volume || !fillTemperature || !maxTemperature || !(volume.value > 0)) {
+      clearResults("");
+      return;
+    }
+    if (!fluid && !Number.isFinite(coefficient)) {
+      clearResults("Enter an expansion coefficient or select a fluid");
+      return;
+    }
+    if (fluid && !Number.isFinite(OilProps.getDensityAtTemp(fluid, fillTemperature))) {
+      clearResults("No density data for this fluid");
+      return;
+    }
+
+    const footprint = width && length && width.value > 0 && length.value > 0 ? width.multiply(length) : null;
+    const result = oilThermalExpansion({ volume, fillTemperature, maxTemperature, fluid, coefficient, footprint });
+
+    writeQuantity(elements.expandedVolume, elements.expandedVolumeUnit, result.expandedVolume);
+    writeQuantity(elements.headspace,      elements.headspaceUnit,      result.expansion);
+    if (result.levelRise) {
+      writeQuantity(elements.levelRise, elements.levelRiseUnit, result.levelRise);
+    } else {
+      elements.levelRise.value = "";
+    }
+    if (fluid) elements.coefficient.value = formatSignificant(result.coefficient);
+
+    elements.status.textContent = result.expansion.value < 0
+      ? "Maximum temperature is below the fill temperature: the oil contracts"
+      : `The oil grows by ${formatLocaleNumber((result.expandedVolume.value / volume.value - 1) * 100, 2)} %; ` +
+        "leave at least this headspace above the fill level";
+  }
+
+  /** Switch between a typed coefficient and fluid mode, where it is a read-only result */
+  function onFluidChange() {
+    elements.coefficient.readOnly = Boolean(elements.fluid.value);
+    if (!elements.fluid.value) elements.coefficient.value = formatLocaleInput(OIL_EXPANSION_COEFFICIENT);
+    calcThermalExpansion();
+  }
+
+  inputs.forEach(([inputEl, unitEl]) => {
+    inputEl.addEventListener("input", calcThermalExpansion);
+    unitEl.addEventListener("change", () => {
+      convertInputUnit(inputEl, unitEl);
+      calcThermalExpansion();
+    });
+  });
+  elements.coefficient.addEventListener("input", calcThermalExpansion);
+  elements.fluid.addEventListener("change", onFluidChange);
+  [elements.expandedVolumeUnit, elements.headspaceUnit, elements.levelRiseUnit]
+    .forEach(e => e.addEventListener("change", calcThermalExpansion));
+
+  // Fluid list: keep the "manual" entry first, then every OilProps fluid
+  const manualOption = elements.fluid.options[0];
+  populateFluidSelect(elements.fluid, DEFAULT_FLUID).then(loaded => {
+    if (loaded) elements.fluid.insertBefore(manualOption, elements.fluid.firstChild);
+    onFluidChange();
+  });
 
-  calcReynolds(); // Initial calculation
+  onFluidChange(); // Initial calculation
 }
 
 // ========== PERCENT CHANGE CALCULATOR ==========
@@ -359,24 +2996,24 @@ function initializePercentChangeCalculator() {
 
   /** Compute % change from original → new, display with increase/decrease label */
   function calcPct() {
-    const o = parseFloat(original.value);
-    const n = parseFloat(newVal.value);
+    const o = parseLocaleNumber(original.value);
+    const n = parseLocaleNumber(newVal.value);
     if (!Number.isFinite(o) || !Number.isFinite(n)) { result.value = ''; return; }
     if (o === 0) { result.value = 'N/A (original is 0)'; return; }
     const pct = ((n - o) / Math.abs(o)) * 100;
     const sign = pct > 0 ? '+' : '';
     const label = pct > 0 ? 'increase' : pct < 0 ? 'decrease' : 'no change';
-    result.value = `${sign}${pct.toFixed(4)}%  (${label})`;
+    result.value = `${sign}${formatLocaleNumber(pct, 4)}%  (${label})`;
   }
 
   /** Back-solve: given original and % change, compute new value */
   function calcNewFromPct() {
-    const o   = parseFloat(original.value);
+    const o   = parseLocaleNumber(original.value);
     const raw = result.value.trim();
-    // Accept bare numbers like "-25" or "+10.5" from the result field
-    const pct = parseFloat(raw);
+    // Accept bare numbers like "-25", "+10.5" or "+10,5%" from the result field
+    const pct = parseLocaleNumber(raw.replace(/%.*$/, ''));
     if (!Number.isFinite(o) || !Number.isFinite(pct)) return;
-    newVal.value = (o * (1 + pct / 100)).toFixed(6);
+    newVal.value = formatLocaleInput(o * (1 + pct / 100));
   }
 
   original.addEventListener("input", calcPct);
@@ -399,6 +3036,16 @@ function initializeCalculators() {
   initializePipeVelocityCalculator();
   initializeCircleAreaCalculator();
   initializeReynoldsCalculator();
+  initializePipePressureDropCalculator();
+  initializeLineBuilder();
+  initializeCylinderCalculator();
+  initializePumpMotorCalculator();
+  initializeHeatBalanceCalculator();
+  initializeAccumulatorCalculator();
+  initializeBulkModulusCalculator();
+  initializeOrificeCalculator();
+  initializeResidenceTimeCalculator();
+  initializeThermalExpansionCalculator();
   initializePercentChangeCalculator();
 }
 
@@ -410,8 +3057,36 @@ if (document.readyState === "loading") {
 
 // ========== BROWSER EXPORTS ==========
 if (typeof window !== "undefined") {
-  window.initializePipeVelocityCalculator   = initializePipeVelocityCalculator;
-  window.initializeCircleAreaCalculator     = initializeCircleAreaCalculator;
-  window.initializeReynoldsCalculator       = initializeReynoldsCalculator;
-  window.initializePercentChangeCalculator  = initializePercentChangeCalculator;
+  window.initializePipeVelocityCalculator     = initializePipeVelocityCalculator;
+  window.crossSection                         = crossSection;
+  window.checkLineVelocity                    = checkLineVelocity;
+  window.recommendLineSize                    = recommendLineSize;
+  window.initializeCircleAreaCalculator       = initializeCircleAreaCalculator;
+  window.initializeReynoldsCalculator         = initializeReynoldsCalculator;
+  window.reynoldsTemperatureSweep             = reynoldsTemperatureSweep;
+  window.initializePipePressureDropCalculator = initializePipePressureDropCalculator;
+  window.frictionFactor                       = frictionFactor;
+  window.pipePressureDrop                     = pipePressureDrop;
+  window.initializeLineBuilder                = initializeLineBuilder;
+  window.linePressureDrop                     = linePressureDrop;
+  window.initializeCylinderCalculator         = initializeCylinderCalculator;
+  window.cylinderPerformance                  = cylinderPerformance;
+  window.initializePumpMotorCalculator        = initializePumpMotorCalculator;
+  window.pumpMotorPerformance                 = pumpMotorPerformance;
+  window.initializeHeatBalanceCalculator      = initializeHeatBalanceCalculator;
+  window.tankHeatBalance                      = tankHeatBalance;
+  window.initializeAccumulatorCalculator      = initializeAccumulatorCalculator;
+  window.accumulatorDeliveryFraction          = accumulatorDeliveryFraction;
+  window.accumulatorSizing                    = accumulatorSizing;
+  window.initializeBulkModulusCalculator      = initializeBulkModulusCalculator;
+  window.effectiveBulkModulus                 = effectiveBulkModulus;
+  window.bulkModulusAirSweep                  = bulkModulusAirSweep;
+  window.initializeOrificeCalculator          = initializeOrificeCalculator;
+  window.orificeDischargeCoefficient          = orificeDischargeCoefficient;
+  window.orificeFlow                          = orificeFlow;
+  window.initializeResidenceTimeCalculator    = initializeResidenceTimeCalculator;
+  window.tankResidence                        = tankResidence;
+  window.initializeThermalExpansionCalculator = initializeThermalExpansionCalculator;
+  window.oilThermalExpansion                  = oilThermalExpansion;
+  window.initializePercentChangeCalculator    = initializePercentChangeCalculator;
 }
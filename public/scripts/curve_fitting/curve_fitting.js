@@ -210,10 +210,10 @@ function getTableData(tableId, xColIndex = 0, yColIndex = 1) {
   const dataPoints = [];
 
   rows.forEach((row, index) => {
-    const inputs = row.querySelectorAll('input[type="number"]');
+    const inputs = row.querySelectorAll('input[inputmode="decimal"]');
     if (inputs.length > Math.max(xColIndex, yColIndex)) {
-      const x = parseFloat(inputs[xColIndex].value);
-      const y = parseFloat(inputs[yColIndex].value);
+      const x = parseLocaleNumber(inputs[xColIndex].value);
+      const y = parseLocaleNumber(inputs[yColIndex].value);
       if (!isNaN(x) && !isNaN(y)) {
         dataPoints.push({ x, y });
       }
@@ -267,14 +267,14 @@ function performCurveFitting(dataPoints, L, density, viscosity, canvasId, result
     if (resultsElement) {
       resultsElement.innerHTML = `
         <h4>Curve Fitting Results:</h4>
-        <p><strong>Linear Coefficient (A):</strong> ${A.toFixed(6)} Pa·s/m</p>
-        <p><strong>Quadratic Coefficient (B):</strong> ${B.toFixed(6)} Pa·s²/m</p>
-        <p><strong>R² (Goodness of Fit):</strong> ${R2.toFixed(6)}</p>
+        <p><strong>Linear Coefficient (A):</strong> ${formatLocaleNumber(A, 6)} Pa·s/m</p>
+        <p><strong>Quadratic Coefficient (B):</strong> ${formatLocaleNumber(B, 6)} Pa·s²/m</p>
+        <p><strong>R² (Goodness of Fit):</strong> ${formatLocaleNumber(R2, 6)}</p>
         <hr>
         <h4>Porous Media Properties:</h4>
-        <p><strong>Darcy Coefficient (d):</strong> ${d.toFixed(6)} m⁻²</p>
-        <p><strong>Forchheimer Coefficient (f):</strong> ${f.toFixed(6)} m⁻¹</p>
-        <p><strong>Permeability (κ):</strong> ${(1/d).toFixed(9)} m²</p>
+        <p><strong>Darcy Coefficient (d):</strong> ${formatLocaleNumber(d, 6)} m⁻²</p>
+        <p><strong>Forchheimer Coefficient (f):</strong> ${formatLocaleNumber(f, 6)} m⁻¹</p>
+        <p><strong>Permeability (κ):</strong> ${formatLocaleNumber(1 / d, 9)} m²</p>
       `;
     }
 
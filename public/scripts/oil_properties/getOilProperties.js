@@ -51,15 +51,27 @@ async function loadFluidData() {
   return loadPromise;
 }
 
+/**
+ * Accept a temperature as a number in Kelvin or as a Quantity (unit_converter.js).
+ * @private
+ */
+function toKelvin(temperature) {
+  if (temperature && typeof temperature.to === "function") {
+    return temperature.to("K").value;
+  }
+  return temperature;
+}
+
 /**
  * Get the density of a fluid at a given temperature.
  * Uses linear thermal expansion approximation.
  * 
  * @param {string} name - The name of the fluid.
- * @param {number} tK - Temperature in Kelvin.
+ * @param {number|Quantity} tK - Temperature in Kelvin, or a temperature Quantity.
  * @returns {number} Density in kg/m³, or NaN if fluid not found.
  */
 function getDensityAtTemp(name, tK) {
+  tK = toKelvin(tK);
   if (!Number.isFinite(tK)) {
     console.warn(`Invalid temperature: ${tK}`);
     return NaN;
@@ -119,10 +131,11 @@ function validateWaltherTransform(name, T1, V1, T2, V2, m, n) {
  * The Walther equation is a standard method for interpolating viscosity across temperatures.
  * 
  * @param {string} name - The name of the fluid.
- * @param {number} tK - Temperature in Kelvin.
+ * @param {number|Quantity} tK - Temperature in Kelvin, or a temperature Quantity.
  * @returns {number} Kinematic viscosity in mm²/s, or NaN if data unavailable.
  */
 function getKinViscAtTemp(name, tK) {
+  tK = toKelvin(tK);
   if (!Number.isFinite(tK)) {
     console.warn(`Invalid temperature: ${tK}`);
     return NaN;
@@ -167,7 +180,7 @@ function getKinViscAtTemp(name, tK) {
  * Calculated from kinematic viscosity and density: μ = ν × ρ
  * 
  * @param {string} name - The name of the fluid.
- * @param {number} tK - Temperature in Kelvin.
+ * @param {number|Quantity} tK - Temperature in Kelvin, or a temperature Quantity.
  * @returns {number} Dynamic viscosity in Pa·s, or NaN if data unavailable.
  */
 function getDynViscAtTemp(name, tK) {
@@ -184,6 +197,49 @@ function getDynViscAtTemp(name, tK) {
   return dynVisc;
 }
 
+/** Kinematic viscosity tolerance of an ISO VG grade at 40 °C, in percent (ISO 3448) */
+const ISO_VG_TOLERANCE_PERCENT = 10;
+
+/**
+ * Get density and viscosities of a fluid as self-describing Quantity values.
+ * Requires unit_converter.js to be loaded on the page.
+ * A temperature Quantity's ± uncertainty is carried into each property; a
+ * viscosity tolerance (e.g. ISO VG ±10%) is added to both viscosities.
+ *
+ * @param {string} name - The name of the fluid.
+ * @param {number|Quantity} tK - Temperature in Kelvin, or a temperature Quantity.
+ * @param {Object} [options]
+ * @param {number} [options.viscosityTolerance=0] - Viscosity tolerance in percent
+ * @returns {{ density: Quantity, kinematicViscosity: Quantity, dynamicViscosity: Quantity }}
+ *   Quantities in kg/m^3, mm^2/s and Pa*s (values are NaN if data unavailable).
+ *
+ * @example
+ * const props = OilProps.getPropertiesAtTemp("ISO VG 46", new Quantity(40, "C"),
+ *   { viscosityTolerance: OilProps.ISO_VG_TOLERANCE_PERCENT });
+ * props.kinematicViscosity.format()   // "45.9 ± 4.6 mm²/s"
+ */
+function getPropertiesAtTemp(name, tK, options = {}) {
+  if (typeof Quantity === "undefined") {
+    throw new Error("getPropertiesAtTemp requires unit_converter.js");
+  }
+  const T = toKelvin(tK);
+  const uT = tK && typeof tK.to === "function" ? tK.to("K").uncertainty : 0;
+  const tolerance = (options.viscosityTolerance || 0) / 100;
+
+  // Temperature uncertainty maps to half the property's spread over T ± uT
+  const propertyAt = (getter, unit, relativeTolerance = 0) => {
+    const value = getter(name, T);
+    const spread = uT > 0 ? Math.abs(getter(name, T + uT) - getter(name, T - uT)) / 2 : 0;
+    return new Quantity(value, unit, Math.hypot(spread, value * relativeTolerance) || 0);
+  };
+
+  return {
+    density: propertyAt(getDensityAtTemp, "kg/m^3"),
+    kinematicViscosity: propertyAt(getKinViscAtTemp, "mm^2/s", tolerance),
+    dynamicViscosity: propertyAt(getDynViscAtTemp, "Pa*s", tolerance)
+  };
+}
+
 /**
  * Get a list of all fluid names in the dataset.
  * 
@@ -199,7 +255,9 @@ const OilProps = {
   getDensityAtTemp,
   getKinViscAtTemp,
   getDynViscAtTemp,
-  getFluidNames
+  getPropertiesAtTemp,
+  getFluidNames,
+  ISO_VG_TOLERANCE_PERCENT
 };
 
 // Browser global export
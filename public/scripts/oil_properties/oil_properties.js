@@ -8,6 +8,7 @@ let currentDynViscUnit = 'Pa*s'; // Dynamic viscosity in Pa·s by default
 const SELECTORS = {
   fluidSelect: '#fluidSelect',
   tempInput: '#tempInput',
+  viscTolInput: '#viscTolInput',
   oilTitle: '#oilTitle',
   copyBtn: '#copyBtn',
   col2Sel: '#col2Sel',
@@ -43,7 +44,18 @@ function safeQuerySelector(selector, context = document) {
 }
 
 function formatValue(value, decimals) {
-  return Number.isFinite(value) ? value.toFixed(decimals) : 'N/A';
+  return formatLocaleNumber(value, decimals);
+}
+
+// Significant figures, with "± u" when the quantity carries an uncertainty
+function formatQuantity(quantity) {
+  return formatSignificant(quantity.value, quantity.uncertainty);
+}
+
+// Viscosity tolerance in percent from the ±% input (0 when empty)
+function getViscosityTolerance() {
+  const value = parseLocaleNumber(safeQuerySelector(SELECTORS.viscTolInput)?.value ?? '');
+  return Number.isFinite(value) && value > 0 ? value : 0;
 }
 
 // Main initialization
@@ -52,6 +64,7 @@ document.addEventListener("DOMContentLoaded", async () => {
     await OilProps.loadFluidData();
     initializeFluidSelector();
     initializeTemperatureInput();
+    initializeToleranceInput();
     initializeTemperatureUnitSelector();
     initializePropertyUnitSelectors();
     initializeCopyButton();
@@ -83,15 +96,15 @@ function initializeTemperatureInput() {
   const tempInput = safeQuerySelector(SELECTORS.tempInput);
   if (!tempInput) return;
 
-  // Only allow numeric input (including decimal point and minus sign)
+  // Only allow numeric input (including a "." or "," decimal separator and minus sign)
   tempInput.addEventListener("input", (event) => {
     let value = event.target.value;
-    // Remove any non-numeric characters except decimal point and minus sign
-    value = value.replace(/[^\d.\-]/g, '');
-    // Ensure only one decimal point
-    const parts = value.split('.');
+    // Remove any non-numeric characters except decimal separators and minus sign
+    value = value.replace(/[^\d.,\-]/g, '');
+    // Ensure only one decimal separator, keeping the first one typed
+    const parts = value.split(/[.,]/);
     if (parts.length > 2) {
-      value = parts[0] + '.' + parts.slice(1).join('');
+      value = parts[0] + value.match(/[.,]/)[0] + parts.slice(1).join('');
     }
     // Ensure minus sign only at the beginning
     if (value.indexOf('-') !== value.lastIndexOf('-')) {
@@ -107,10 +120,20 @@ function initializeTemperatureInput() {
   tempInput.addEventListener("change", handleTemperatureChange);
 }
 
+function initializeToleranceInput() {
+  const viscTolInput = safeQuerySelector(SELECTORS.viscTolInput);
+  if (!viscTolInput) return;
+
+  viscTolInput.addEventListener("input", handleTemperatureChange);
+}
+
 function initializeTemperatureUnitSelector() {
   const tempUnitSelect = safeQuerySelector(SELECTORS.tempUnitSelect);
   if (!tempUnitSelect) return;
 
+  currentTempUnit = getPreferredUnit('temperature', currentTempUnit);
+  tempUnitSelect.value = currentTempUnit;
+
   tempUnitSelect.addEventListener("change", (event) => {
     currentTempUnit = event.target.value;
     
@@ -118,7 +141,7 @@ function initializeTemperatureUnitSelector() {
     const fluidSelect = safeQuerySelector(SELECTORS.fluidSelect);
     const tempInput = safeQuerySelector(SELECTORS.tempInput);
     const fluid = fluidSelect?.value;
-    const temperature = tempInput?.value ? parseFloat(tempInput.value) : null;
+    const temperature = tempInput?.value ? parseLocaleNumber(tempInput.value) : null;
     
     if (fluid) {
       buildCalculatedTable(fluid, temperature);
@@ -134,6 +157,7 @@ function initializePropertyUnitSelectors() {
   // Populate kinematic viscosity units
   if (kinViscSelect) {
     populateUnitSelect(kinViscSelect, 'kinematicViscosity', 'mm^2/s');
+    currentKinViscUnit = kinViscSelect.value;
     kinViscSelect.addEventListener("change", (event) => {
       currentKinViscUnit = event.target.value;
       rebuildTableWithNewUnits();
@@ -143,6 +167,7 @@ function initializePropertyUnitSelectors() {
   // Populate density units
   if (densitySelect) {
     populateUnitSelect(densitySelect, 'density', 'kg/m^3');
+    currentDensityUnit = densitySelect.value;
     densitySelect.addEventListener("change", (event) => {
       currentDensityUnit = event.target.value;
       rebuildTableWithNewUnits();
@@ -152,6 +177,7 @@ function initializePropertyUnitSelectors() {
   // Populate dynamic viscosity units
   if (dynViscSelect) {
     populateUnitSelect(dynViscSelect, 'dynamicViscosity', 'Pa*s');
+    currentDynViscUnit = dynViscSelect.value;
     dynViscSelect.addEventListener("change", (event) => {
       currentDynViscUnit = event.target.value;
       rebuildTableWithNewUnits();
@@ -174,9 +200,10 @@ function populateUnitSelect(selectElement, unitType, defaultUnit) {
       selectElement.appendChild(option);
     });
     
-    // Set default unit if it exists in available units
-    if (availableUnits.includes(defaultUnit)) {
-      selectElement.value = defaultUnit;
+    // Select the unit-system preference, falling back to the page default
+    const preferredUnit = getPreferredUnit(unitType, defaultUnit);
+    if (availableUnits.includes(preferredUnit)) {
+      selectElement.value = preferredUnit;
     }
   } catch (error) {
     console.error(`Error populating units for ${unitType}:`, error);
@@ -189,6 +216,10 @@ function formatUnitDisplay(unit) {
     'm^2/s': 'm²/s',
     'mm^2/s': 'mm²/s',
     'cSt': 'cSt',
+    'SUS': 'SUS',
+    'SFS': 'SFS',
+    '°E': '°E',
+    'RI': 'Redwood I',
     'kg/m^3': 'kg/m³',
     'g/cm^3': 'g/cm³',
     'lb/ft^3': 'lb/ft³',
@@ -205,7 +236,7 @@ function rebuildTableWithNewUnits() {
   const fluidSelect = safeQuerySelector(SELECTORS.fluidSelect);
   const tempInput = safeQuerySelector(SELECTORS.tempInput);
   const fluid = fluidSelect?.value;
-  const temperature = tempInput?.value ? parseFloat(tempInput.value) : null;
+  const temperature = tempInput?.value ? parseLocaleNumber(tempInput.value) : null;
   
   if (fluid) {
     buildCalculatedTable(fluid, temperature);
@@ -218,7 +249,7 @@ function handleFluidChange(event) {
 
   try {
     const tempInput = safeQuerySelector(SELECTORS.tempInput);
-    const temperature = tempInput?.value ? parseFloat(tempInput.value) : null;
+    const temperature = tempInput?.value ? parseLocaleNumber(tempInput.value) : null;
     
     buildTables(fluid, temperature);
     updateOilTitle(fluid, temperature);
@@ -235,7 +266,7 @@ function handleTemperatureChange() {
   if (!fluid) return;
   
   const tempInput = safeQuerySelector(SELECTORS.tempInput);
-  const temperature = tempInput?.value ? parseFloat(tempInput.value) : null;
+  const temperature = tempInput?.value ? parseLocaleNumber(tempInput.value) : null;
   
   buildTables(fluid, temperature);
   updateOilTitle(fluid, temperature);
@@ -246,7 +277,7 @@ function updateOilTitle(fluidName, temperature) {
   if (oilTitle) {
     let titleText = fluidName;
     if (temperature !== null && Number.isFinite(temperature)) {
-      titleText += ` at ${temperature}°C`;
+      titleText += ` at ${formatLocaleInput(temperature)}°C`;
     }
     oilTitle.textContent = titleText;
     oilTitle.classList.remove("hidden");
@@ -266,7 +297,9 @@ function initializeCopyButton() {
         .map(row => {
           const cells = row.querySelectorAll("td");
           // colIdx is now 0-based: 0=temp, 1=kinVisc, 2=density, 3=dynVisc
-          return `${cells[0]?.innerText || ''}\t${cells[colIdx]?.innerText || ''}`;
+          // Only the value is copied; a "± u" suffix would make spreadsheets read text
+          const value = (cells[colIdx]?.innerText || '').split(' ± ')[0];
+          return `${cells[0]?.innerText || ''}\t${value}`;
         })
         .join('\n');
 
@@ -295,7 +328,7 @@ function buildDensityDisplay(name) {
   const densityEl = safeQuerySelector(SELECTORS.density);
   
   if (densityEl) {
-    densityEl.textContent = formatValue(density15, 2);
+    densityEl.textContent = formatSignificant(density15);
   }
 }
 
@@ -315,7 +348,7 @@ function buildViscosityTable(name) {
   viscosityData.forEach(row => {
     const tr = createTableRow([
       row.temperature,
-      row.kinematicViscosity.toFixed(3)
+      formatSignificant(row.kinematicViscosity)
     ]);
     fragment.appendChild(tr);
   });
@@ -342,58 +375,19 @@ function buildCalculatedTable(name, temperatureC) {
     }
   }
 
-  temperatures.forEach(tC => {
-    const tK = tC + 273.15;
-    const density_kgm3 = OilProps.getDensityAtTemp(name, tK);
-    const kinVisc_mm2s = OilProps.getKinViscAtTemp(name, tK);
-    const dynVisc_Pas = OilProps.getDynViscAtTemp(name, tK);
-
-    // Convert temperature to selected unit
-    let displayTemp;
-    if (currentTempUnit === 'K') {
-      displayTemp = tK.toFixed(2);
-    } else if (currentTempUnit === 'C') {
-      displayTemp = tC.toString();
-    } else if (currentTempUnit === 'F') {
-      const tF = convertUnit('C', 'F', tC);
-      displayTemp = tF.toFixed(2);
-    }
-
-    // Convert kinematic viscosity to selected unit (mm²/s is the base)
-    let displayKinVisc;
-    if (currentKinViscUnit === 'mm^2/s') {
-      displayKinVisc = formatValue(kinVisc_mm2s, 3);
-    } else if (currentKinViscUnit === 'm^2/s') {
-      const converted = convertUnit('mm^2/s', 'm^2/s', kinVisc_mm2s);
-      displayKinVisc = formatValue(converted, 6);
-    } else if (currentKinViscUnit === 'cSt') {
-      const converted = convertUnit('mm^2/s', 'cSt', kinVisc_mm2s);
-      displayKinVisc = formatValue(converted, 3);
-    }
+  const viscosityTolerance = getViscosityTolerance();
 
-    // Convert density to selected unit (kg/m³ is the base)
-    let displayDensity;
-    if (currentDensityUnit === 'kg/m^3') {
-      displayDensity = formatValue(density_kgm3, 2);
-    } else if (currentDensityUnit === 'g/cm^3') {
-      const converted = convertUnit('kg/m^3', 'g/cm^3', density_kgm3);
-      displayDensity = formatValue(converted, 4);
-    } else if (currentDensityUnit === 'lb/ft^3') {
-      const converted = convertUnit('kg/m^3', 'lb/ft^3', density_kgm3);
-      displayDensity = formatValue(converted, 2);
-    }
-
-    // Convert dynamic viscosity to selected unit (Pa·s is the base)
-    let displayDynVisc;
-    if (currentDynViscUnit === 'Pa*s') {
-      displayDynVisc = formatValue(dynVisc_Pas, 6);
-    } else if (currentDynViscUnit === 'mPa*s') {
-      const converted = convertUnit('Pa*s', 'mPa*s', dynVisc_Pas);
-      displayDynVisc = formatValue(converted, 3);
-    } else if (currentDynViscUnit === 'cP') {
-      const converted = convertUnit('Pa*s', 'cP', dynVisc_Pas);
-      displayDynVisc = formatValue(converted, 3);
-    }
+  temperatures.forEach(tC => {
+    const temperature = new Quantity(tC, 'C');
+    const props = OilProps.getPropertiesAtTemp(name, temperature, { viscosityTolerance });
+
+    // Whole degrees stay exact in °C; other scales get two decimals
+    const displayTemp = currentTempUnit === 'C'
+      ? tC.toString()
+      : formatValue(temperature.to(currentTempUnit).value, 2);
+    const displayKinVisc = formatQuantity(props.kinematicViscosity.to(currentKinViscUnit));
+    const displayDensity = formatQuantity(props.density.to(currentDensityUnit));
+    const displayDynVisc = formatQuantity(props.dynamicViscosity.to(currentDynViscUnit));
 
     const tr = createTableRow([
       displayTemp,
@@ -3,8 +3,8 @@ function addRow() {
   const table = document.getElementById("dataTable").getElementsByTagName("tbody")[0];
   const row = table.insertRow();
   row.innerHTML = `
-    <td><input type="number" step="any"></td>
-    <td><input type="number" step="any"></td>`;
+    <td><input type="text" inputmode="decimal"></td>
+    <td><input type="text" inputmode="decimal"></td>`;
 }
 
 // Helper: read x, y from table
@@ -12,8 +12,8 @@ function readTableData() {
   const rows = document.querySelectorAll("#dataTable tbody tr");
   const x = [], y = [];
   rows.forEach(r => {
-    const vx = parseFloat(r.cells[0].querySelector("input").value);
-    const vy = parseFloat(r.cells[1].querySelector("input").value);
+    const vx = parseLocaleNumber(r.cells[0].querySelector("input").value);
+    const vy = parseLocaleNumber(r.cells[1].querySelector("input").value);
     if (!isNaN(vx) && !isNaN(vy)) { x.push(vx); y.push(vy); }
   });
   return { x, y };
@@ -90,9 +90,9 @@ async function calculateAll() {
   const { A, B } = fitCurve(x, y);
 
   const oilType = document.getElementById("oilTypeSelect").value;
-  const tempInput = parseFloat(document.getElementById("operatingTempInput").value);
+  const tempInput = parseLocaleNumber(document.getElementById("operatingTempInput").value);
   const tempUnit = document.getElementById("operatingTempUnitSelect").value;
-  const L = parseFloat(document.getElementById("lengthInput").value);
+  const L = parseLocaleNumber(document.getElementById("lengthInput").value);
 
   const tK = convertUnit(tempUnit, "K", tempInput);
   const dens = OilProps.getDensityAtTemp(oilType, tK);
@@ -103,11 +103,11 @@ async function calculateAll() {
   const resultsEl = document.getElementById("results");
   resultsEl.innerHTML = 
     `<strong>Curve Fit Results:</strong><br>
-     A = ${A.toExponential(4)}, B = ${B.toExponential(4)}<br><br>
+     A = ${formatSignificant(A, 0, 5)}, B = ${formatSignificant(B, 0, 5)}<br><br>
      <strong>Fluid Properties:</strong><br>
-     μ = ${dynVisc.toExponential(4)} Pa·s, ρ = ${dens.toExponential(4)} kg/m³<br><br>
+     μ = ${formatSignificant(dynVisc, 0, 5)} Pa·s, ρ = ${formatSignificant(dens, 0, 5)} kg/m³<br><br>
      <strong>Darcy-Forchheimer Coefficients:</strong><br>
-     d = ${d.toExponential(4)}, f = ${f.toExponential(4)}`;
+     d = ${formatSignificant(d, 0, 5)}, f = ${formatSignificant(f, 0, 5)}`;
   resultsEl.style.display = "block";
 
   plotData(x, y, A, B);
@@ -141,24 +141,24 @@ function addFlowRow() {
   const table = document.getElementById("flowDataTable").getElementsByTagName("tbody")[0];
   const row = table.insertRow();
   row.innerHTML = `
-    <td><input type="number" step="any" oninput="updateVelocities()"></td>
-    <td><input type="number" step="any" readonly></td>
-    <td><input type="number" step="any"></td>`;
+    <td><input type="text" inputmode="decimal" oninput="updateVelocities()"></td>
+    <td><input type="text" inputmode="decimal" readonly></td>
+    <td><input type="text" inputmode="decimal"></td>`;
 }
 
 // Update velocity column based on Q and area
 function updateVelocities() {
-  const area = parseFloat(document.getElementById("areaInput").value);
+  const area = parseLocaleNumber(document.getElementById("areaInput").value);
   if (!area || area <= 0) return;
 
   const rows = document.querySelectorAll("#flowDataTable tbody tr");
   rows.forEach(r => {
     const qInput = r.cells[0].querySelector("input");
     const uInput = r.cells[1].querySelector("input");
-    const q = parseFloat(qInput.value);
+    const q = parseLocaleNumber(qInput.value);
     if (!isNaN(q)) {
       const u = q / area;
-      uInput.value = u.toExponential(4);
+      uInput.value = formatSignificant(u, 0, 5);
     } else {
       uInput.value = "";
     }
@@ -170,8 +170,8 @@ function readFlowTableData(area) {
   const rows = document.querySelectorAll("#flowDataTable tbody tr");
   const x = [], y = [];
   rows.forEach(r => {
-    const q = parseFloat(r.cells[0].querySelector("input").value);
-    const dp = parseFloat(r.cells[2].querySelector("input").value);
+    const q = parseLocaleNumber(r.cells[0].querySelector("input").value);
+    const dp = parseLocaleNumber(r.cells[2].querySelector("input").value);
     if (!isNaN(q) && !isNaN(dp)) {
       const u = q / area;
       x.push(u);
@@ -183,7 +183,7 @@ function readFlowTableData(area) {
 
 // Calculate using flow data
 async function calculateFromFlow() {
-  const area = parseFloat(document.getElementById("areaInput").value);
+  const area = parseLocaleNumber(document.getElementById("areaInput").value);
   if (!area || area <= 0) { alert("Enter a valid cross-sectional area."); return; }
 
   const { x, y } = readFlowTableData(area);
@@ -192,24 +192,24 @@ async function calculateFromFlow() {
   const { A, B } = fitCurve(x, y);
 
   const oilType = document.getElementById("oilTypeSelect").value;
-  const tempInput = parseFloat(document.getElementById("operatingTempInput").value);
+  const tempInput = parseLocaleNumber(document.getElementById("operatingTempInput").value);
   const tempUnit = document.getElementById("operatingTempUnitSelect").value;
-  const L = parseFloat(document.getElementById("lengthInput").value);
+  const L = parseLocaleNumber(document.getElementById("lengthInput").value);
 
   const tK = convertUnit(tempUnit, "K", tempInput);
-  const dens = parseFloat(document.getElementById("densityInput").value) || OilProps.getDensityAtTemp(oilType, tK);
-  const dynVisc = parseFloat(document.getElementById("viscosityInput").value) || OilProps.getDynViscAtTemp(oilType, tK);
+  const dens = parseLocaleNumber(document.getElementById("densityInput").value) || OilProps.getDensityAtTemp(oilType, tK);
+  const dynVisc = parseLocaleNumber(document.getElementById("viscosityInput").value) || OilProps.getDynViscAtTemp(oilType, tK);
 
   const { d, f } = calcDarcyForchheimer(A, B, dynVisc, dens, L);
 
   const flowResultsEl = document.getElementById("flowResults");
   flowResultsEl.innerHTML = 
     `<strong>Curve Fit Results:</strong><br>
-     A = ${A.toExponential(4)}, B = ${B.toExponential(4)}<br><br>
+     A = ${formatSignificant(A, 0, 5)}, B = ${formatSignificant(B, 0, 5)}<br><br>
      <strong>Fluid Properties:</strong><br>
-     μ = ${dynVisc.toExponential(4)} Pa·s, ρ = ${dens.toExponential(4)} kg/m³<br><br>
+     μ = ${formatSignificant(dynVisc, 0, 5)} Pa·s, ρ = ${formatSignificant(dens, 0, 5)} kg/m³<br><br>
      <strong>Darcy-Forchheimer Coefficients:</strong><br>
-     d = ${d.toExponential(4)}, f = ${f.toExponential(4)}`;
+     d = ${formatSignificant(d, 0, 5)}, f = ${formatSignificant(f, 0, 5)}`;
   flowResultsEl.style.display = "block";
 
   // Plot flow rate results
@@ -244,7 +244,7 @@ async function calculateFromFlow() {
 // Auto-update density and viscosity on oil/temperature change
 async function updateOilProps() {
   const oilType = document.getElementById("oilTypeSelect").value;
-  const tempInput = parseFloat(document.getElementById("operatingTempInput").value);
+  const tempInput = parseLocaleNumber(document.getElementById("operatingTempInput").value);
   const tempUnit = document.getElementById("operatingTempUnitSelect").value;
   if (!oilType || isNaN(tempInput)) return;
 
@@ -252,8 +252,8 @@ async function updateOilProps() {
   const dens = OilProps.getDensityAtTemp(oilType, tK);
   const dynVisc = OilProps.getDynViscAtTemp(oilType, tK);
 
-  document.getElementById("densityInput").value = dens.toFixed(4);
-  document.getElementById("viscosityInput").value = dynVisc.toFixed(4);
+  document.getElementById("densityInput").value = formatLocaleNumber(dens, 4);
+  document.getElementById("viscosityInput").value = formatLocaleNumber(dynVisc, 4);
 }
 
 // Attach listeners to oil type and temperature inputs
@@ -72,9 +72,22 @@ const flowFactors = {
   "L/min": 0.001 / 60,
   "gpm": 0.00378541 / 60,
   "gal/h": 0.00378541 / 3600,
-  "ft^3/s": 0.0283168,
+  "ft^3/s": 0.0283168
+};
+
+/**
+ * Mass flow rate conversion factors (base unit: kg/s)
+ * Converting to or from volumetric flow needs a density (see convertUnit options).
+ */
+const massFlowFactors = {
   "kg/s": 1,
-  "lb/s": 0.453592
+  "kg/min": 1 / 60,
+  "kg/h": 1 / 3600,
+  "g/s": 0.001,
+  "t/h": 1000 / 3600,
+  "lb/s": 0.45359237,
+  "lb/min": 0.45359237 / 60,
+  "lb/h": 0.45359237 / 3600
 };
 
 /**
@@ -90,6 +103,33 @@ const pressureFactors = {
   "atm": 101325
 };
 
+/**
+ * Gauge and absolute pressure units (requires special conversion logic).
+ * Each maps to its linear unit in pressureFactors and its reference:
+ * gauge readings are relative to the atmosphere, absolute readings to vacuum.
+ */
+const pressureReferenceUnits = {
+  "psig":   { unit: "psi", gauge: true  },
+  "psia":   { unit: "psi", gauge: false },
+  "barg":   { unit: "bar", gauge: true  },
+  "bara":   { unit: "bar", gauge: false },
+  "kPa(g)": { unit: "kPa", gauge: true  },
+  "kPa(a)": { unit: "kPa", gauge: false },
+  "MPa(g)": { unit: "MPa", gauge: true  },
+  "MPa(a)": { unit: "MPa", gauge: false }
+};
+
+/**
+ * Standard sea-level atmosphere (Pa), the default gauge reference
+ */
+const STANDARD_ATMOSPHERE_PA = 101325;
+
+/**
+ * Atmospheric reference used for gauge ↔ absolute conversions (Pa).
+ * Change it with setAtmosphericPressure() or setAtmosphericPressureFromAltitude().
+ */
+let atmosphericPressurePa = STANDARD_ATMOSPHERE_PA;
+
 /**
  * Force conversion factors (base unit: Newton)
  */
@@ -100,10 +140,174 @@ const forceFactors = {
   "kgf": 9.80665
 };
 
+/**
+ * Velocity conversion factors (base unit: m/s)
+ */
+const velocityFactors = {
+  "m/s": 1,
+  "cm/s": 0.01,
+  "mm/s": 0.001,
+  "km/h": 1 / 3.6,
+  "ft/s": 0.3048,
+  "ft/min": 0.3048 / 60,
+  "in/s": 0.0254
+};
+
+/**
+ * Power conversion factors (base unit: Watt)
+ */
+const powerFactors = {
+  "W": 1,
+  "kW": 1000,
+  "MW": 1e6,
+  "hp": 745.69987,
+  "hp(metric)": 735.49875,
+  "BTU/h": 0.29307107,
+  "ft*lbf/s": 1.35581795
+};
+
+/**
+ * Mass conversion factors (base unit: kilogram)
+ */
+const massFactors = {
+  "kg": 1,
+  "g": 0.001,
+  "t": 1000,
+  "lb": 0.45359237,
+  "oz": 0.028349523
+};
+
+/**
+ * Energy conversion factors (base unit: Joule)
+ */
+const energyFactors = {
+  "J": 1,
+  "kJ": 1000,
+  "MJ": 1e6,
+  "Wh": 3600,
+  "kWh": 3.6e6,
+  "BTU": 1055.05585,
+  "kcal": 4184,
+  "ft*lbf": 1.35581795
+};
+
+/**
+ * Torque conversion factors (base unit: N·m)
+ */
+const torqueFactors = {
+  "N*m": 1,
+  "kN*m": 1000,
+  "N*cm": 0.01,
+  "lbf*ft": 1.35581795,
+  "lbf*in": 0.112984829,
+  "kgf*m": 9.80665
+};
+
+/**
+ * Angle conversion factors (base unit: radian)
+ */
+const angleFactors = {
+  "rad": 1,
+  "deg": Math.PI / 180,
+  "rev": 2 * Math.PI,
+  "grad": Math.PI / 200
+};
+
+/**
+ * Time conversion factors (base unit: second)
+ */
+const timeFactors = {
+  "s": 1,
+  "ms": 0.001,
+  "min": 60,
+  "h": 3600,
+  "day": 86400
+};
+
+/**
+ * Rotational speed conversion factors (base unit: rad/s)
+ */
+const rotationalSpeedFactors = {
+  "rad/s": 1,
+  "rpm": 2 * Math.PI / 60,
+  "rev/s": 2 * Math.PI,
+  "deg/s": Math.PI / 180
+};
+
+/**
+ * Pump and motor displacement conversion factors (base unit: m³/rad, one rev = 2π rad)
+ */
+const displacementFactors = {
+  "m^3/rad": 1,
+  "cm^3/rev": 1e-6 / (2 * Math.PI),
+  "cc/rev": 1e-6 / (2 * Math.PI),
+  "L/rev": 1e-3 / (2 * Math.PI),
+  "in^3/rev": 1.6387064e-5 / (2 * Math.PI)
+};
+
+/**
+ * Heat transfer coefficient conversion factors (base unit: W/(m²·K))
+ * Written per temperature difference (ΔK, ΔF) so they combine with ΔT in compound expressions.
+ */
+const heatTransferFactors = {
+  "W/(m^2*ΔK)": 1,
+  "kW/(m^2*ΔK)": 1000,
+  "BTU/(h*ft^2*ΔF)": 5.678263
+};
+
 /**
  * Temperature units (requires special conversion logic)
  */
-const temperatureUnits = ["C", "F", "K"];
+const temperatureUnits = ["C", "F", "K", "R"];
+
+/**
+ * Temperature difference conversion factors (base unit: ΔK)
+ * Use these for rises and drops (heat-up across a cooler, tank ΔT): unlike
+ * absolute temperatures they carry no offset, so 10 ΔC = 18 ΔF.
+ */
+const temperatureDifferenceFactors = {
+  "ΔK": 1,
+  "ΔC": 1,
+  "ΔF": 5 / 9,
+  "ΔR": 5 / 9
+};
+
+/**
+ * Empirical kinematic viscosity scales (requires special conversion logic).
+ * These are efflux times or ratios, not linear multiples of m²/s, so each
+ * scale converts through cSt with its published formula.
+ *  - SUS: Saybolt Universal Seconds at 100 °F (ASTM D2161)
+ *  - SFS: Saybolt Furol Seconds at 122 °F (ASTM D2161)
+ *  - °E:  Degrees Engler (Ubbelohde relation)
+ *  - RI:  Redwood No. 1 Seconds (IP relation)
+ * minValue is the lowest scale reading for which the formula is valid.
+ */
+const viscosityScales = {
+  "SUS": {
+    minValue: 32,
+    toCSt: (sus) => invertMonotonic(nu => viscosityScales["SUS"].fromCSt(nu), sus, 1, 1e5),
+    fromCSt: (nu) => 4.6324 * nu +
+      (1 + 0.03264 * nu) / ((3930.2 + 262.7 * nu + 23.97 * nu ** 2 + 1.646 * nu ** 3) * 1e-5)
+  },
+  "SFS": {
+    minValue: 25,
+    toCSt: (sfs) => invertMonotonic(nu => viscosityScales["SFS"].fromCSt(nu), sfs, 40, 1e6),
+    fromCSt: (nu) => 0.4717 * nu + 13924 / (nu ** 2 - 72.59 * nu + 6816)
+  },
+  "°E": {
+    minValue: 1,
+    toCSt: (e) => 7.32 * e - 6.31 / e,
+    fromCSt: (nu) => (nu + Math.sqrt(nu ** 2 + 4 * 7.32 * 6.31)) / (2 * 7.32)
+  },
+  "RI": {
+    minValue: 30,
+    toCSt: (t) => t < 100 ? 0.26 * t - 179 / t : 0.247 * t - 50 / t,
+    fromCSt: (nu) => {
+      const t = (nu + Math.sqrt(nu ** 2 + 4 * 0.247 * 50)) / (2 * 0.247);
+      return t >= 100 ? t : (nu + Math.sqrt(nu ** 2 + 4 * 0.26 * 179)) / (2 * 0.26);
+    }
+  }
+};
 
 // ========== UNIT TYPE REGISTRY ==========
 const unitTypeRegistry = {
@@ -114,8 +318,20 @@ const unitTypeRegistry = {
   dynamicViscosity: dynViscFactors,
   volume: volumeFactors,
   flow: flowFactors,
+  massFlow: massFlowFactors,
   pressure: pressureFactors,
-  force: forceFactors
+  force: forceFactors,
+  temperatureDifference: temperatureDifferenceFactors,
+  velocity: velocityFactors,
+  power: powerFactors,
+  mass: massFactors,
+  energy: energyFactors,
+  torque: torqueFactors,
+  angle: angleFactors,
+  time: timeFactors,
+  rotationalSpeed: rotationalSpeedFactors,
+  displacement: displacementFactors,
+  heatTransfer: heatTransferFactors
 };
 
 // ========== MEASUREMENT REGISTRY ==========
@@ -127,13 +343,26 @@ const measurementRegistry = {
   length:             { displayName: "Length",              unitType: "length",              defaultFrom: "in",      defaultTo: "m"       },
   area:               { displayName: "Area",                unitType: "area",                defaultFrom: "in^2",    defaultTo: "m^2"     },
   temperature:        { displayName: "Temperature",         unitType: "temperature",         defaultFrom: "F",       defaultTo: "C"       },
+  temperatureDifference: { displayName: "Temperature Difference", unitType: "temperature difference", defaultFrom: "ΔF", defaultTo: "ΔC" },
   density:            { displayName: "Density",             unitType: "density",             defaultFrom: "lb/ft^3", defaultTo: "kg/m^3"  },
   kinematicViscosity: { displayName: "Kinematic Viscosity", unitType: "kinematic viscosity", defaultFrom: "mm^2/s",  defaultTo: "cSt"     },
   dynamicViscosity:   { displayName: "Dynamic Viscosity",   unitType: "dynamic viscosity",   defaultFrom: "cP",      defaultTo: "Pa*s"    },
   volume:             { displayName: "Volume",              unitType: "volume",              defaultFrom: "gal(US)", defaultTo: "L"       },
   flow:               { displayName: "Flow Rate",           unitType: "flow",                defaultFrom: "gpm",     defaultTo: "L/min"   },
+  massFlow:           { displayName: "Mass Flow Rate",      unitType: "mass flow",           defaultFrom: "lb/min",  defaultTo: "kg/s"    },
   pressure:           { displayName: "Pressure",            unitType: "pressure",            defaultFrom: "Pa",      defaultTo: "bar"     },
-  force:              { displayName: "Force",               unitType: "force",               defaultFrom: "N",       defaultTo: "lbf"     }
+  gaugePressure:      { displayName: "Gauge/Abs. Pressure", unitType: "gauge pressure",      defaultFrom: "psig",    defaultTo: "bara"    },
+  force:              { displayName: "Force",               unitType: "force",               defaultFrom: "N",       defaultTo: "lbf"     },
+  velocity:           { displayName: "Velocity",            unitType: "velocity",            defaultFrom: "ft/s",    defaultTo: "m/s"     },
+  power:              { displayName: "Power",               unitType: "power",               defaultFrom: "hp",      defaultTo: "kW"      },
+  mass:               { displayName: "Mass",                unitType: "mass",                defaultFrom: "lb",      defaultTo: "kg"      },
+  energy:             { displayName: "Energy",              unitType: "energy",              defaultFrom: "kWh",     defaultTo: "kJ"      },
+  torque:             { displayName: "Torque",              unitType: "torque",              defaultFrom: "lbf*ft",  defaultTo: "N*m"     },
+  angle:              { displayName: "Angle",               unitType: "angle",               defaultFrom: "deg",     defaultTo: "rad"     },
+  time:               { displayName: "Time",                unitType: "time",                defaultFrom: "min",     defaultTo: "s"       },
+  rotationalSpeed:    { displayName: "Rotational Speed",    unitType: "rotational speed",    defaultFrom: "rpm",     defaultTo: "rad/s"   },
+  displacement:       { displayName: "Displacement",        unitType: "displacement",        defaultFrom: "in^3/rev", defaultTo: "cm^3/rev" },
+  heatTransfer:       { displayName: "Heat Transfer Coeff.", unitType: "heat transfer",      defaultFrom: "BTU/(h*ft^2*ΔF)", defaultTo: "W/(m^2*ΔK)" }
 };
 
 /**
@@ -147,11 +376,16 @@ const unitDisplayNames = {
   "m^2": "Square Meter (m²)", "cm^2": "Square Centimeter (cm²)",
   "mm^2": "Square Millimeter (mm²)", "in^2": "Square Inch (in²)", "ft^2": "Square Foot (ft²)",
   // Temperature
-  "C": "Celsius (°C)", "F": "Fahrenheit (°F)", "K": "Kelvin (K)",
+  "C": "Celsius (°C)", "F": "Fahrenheit (°F)", "K": "Kelvin (K)", "R": "Rankine (°R)",
+  // Temperature difference
+  "ΔK": "Kelvin difference (ΔK)", "ΔC": "Celsius difference (Δ°C)",
+  "ΔF": "Fahrenheit difference (Δ°F)", "ΔR": "Rankine difference (Δ°R)",
   // Density
   "kg/m^3": "kg/m³", "g/cm^3": "g/cm³", "lb/ft^3": "lb/ft³",
   // Kinematic viscosity
   "m^2/s": "m²/s", "mm^2/s": "mm²/s", "cSt": "Centistokes (cSt)",
+  "SUS": "Saybolt Universal Seconds (SUS)", "SFS": "Saybolt Furol Seconds (SFS)",
+  "°E": "Degrees Engler (°E)", "RI": "Redwood No. 1 Seconds (RI)",
   // Dynamic viscosity
   "Pa*s": "Pascal-second (Pa·s)", "mPa*s": "mPa·s", "cP": "Centipoise (cP)",
   // Volume
@@ -161,13 +395,50 @@ const unitDisplayNames = {
   // Flow
   "m^3/s": "m³/s", "L/s": "L/s", "L/min": "L/min",
   "gpm": "GPM (US gal/min)", "gal/h": "gal/h",
-  "ft^3/s": "ft³/s", "kg/s": "kg/s", "lb/s": "lb/s",
+  "ft^3/s": "ft³/s",
+  // Mass flow
+  "kg/s": "kg/s", "kg/min": "kg/min", "kg/h": "kg/h", "g/s": "g/s", "t/h": "t/h",
+  "lb/s": "lb/s", "lb/min": "lb/min", "lb/h": "lb/h",
   // Pressure
   "Pa": "Pascal (Pa)", "kPa": "Kilopascal (kPa)", "MPa": "Megapascal (MPa)",
   "GPa": "Gigapascal (GPa)", "bar": "Bar", "psi": "PSI", "atm": "Atmosphere (atm)",
+  // Gauge / absolute pressure
+  "psig": "PSI gauge (psig)", "psia": "PSI absolute (psia)",
+  "barg": "Bar gauge (barg)", "bara": "Bar absolute (bara)",
+  "kPa(g)": "kPa gauge", "kPa(a)": "kPa absolute",
+  "MPa(g)": "MPa gauge", "MPa(a)": "MPa absolute",
   // Force
   "N": "Newton (N)", "kN": "Kilonewton (kN)",
-  "lbf": "Pound-force (lbf)", "kgf": "Kilogram-force (kgf)"
+  "lbf": "Pound-force (lbf)", "kgf": "Kilogram-force (kgf)",
+  // Velocity
+  "m/s": "m/s", "cm/s": "cm/s", "mm/s": "mm/s", "km/h": "km/h",
+  "ft/s": "ft/s", "ft/min": "ft/min", "in/s": "in/s",
+  // Power
+  "W": "Watt (W)", "kW": "Kilowatt (kW)", "MW": "Megawatt (MW)",
+  "hp": "Horsepower (hp)", "hp(metric)": "Metric Horsepower (PS)",
+  "BTU/h": "BTU/h", "ft*lbf/s": "ft·lbf/s",
+  // Mass
+  "kg": "Kilogram (kg)", "g": "Gram (g)", "t": "Tonne (t)",
+  "lb": "Pound (lb)", "oz": "Ounce (oz)",
+  // Energy
+  "J": "Joule (J)", "kJ": "Kilojoule (kJ)", "MJ": "Megajoule (MJ)",
+  "Wh": "Watt-hour (Wh)", "kWh": "Kilowatt-hour (kWh)",
+  "BTU": "British Thermal Unit (BTU)", "kcal": "Kilocalorie (kcal)", "ft*lbf": "ft·lbf",
+  // Torque
+  "N*m": "Newton-meter (N·m)", "kN*m": "kN·m", "N*cm": "N·cm",
+  "lbf*ft": "Pound-foot (lbf·ft)", "lbf*in": "Pound-inch (lbf·in)", "kgf*m": "kgf·m",
+  // Angle
+  "rad": "Radian (rad)", "deg": "Degree (°)", "rev": "Revolution (rev)", "grad": "Gradian (grad)",
+  // Time
+  "s": "Second (s)", "ms": "Millisecond (ms)", "min": "Minute (min)",
+  "h": "Hour (h)", "day": "Day",
+  // Rotational speed
+  "rad/s": "Radian per second (rad/s)", "rpm": "Revolutions per minute (rpm)",
+  "rev/s": "Revolutions per second (rev/s)", "deg/s": "Degree per second (°/s)",
+  // Displacement
+  "m^3/rad": "m³/rad", "cm^3/rev": "cm³/rev", "cc/rev": "cc/rev", "L/rev": "L/rev", "in^3/rev": "in³/rev",
+  // Heat transfer coefficient
+  "W/(m^2*ΔK)": "W/(m²·K)", "kW/(m^2*ΔK)": "kW/(m²·K)", "BTU/(h*ft^2*ΔF)": "BTU/(h·ft²·°F)"
 };
 
 // ========== HELPER FUNCTIONS ==========
@@ -185,9 +456,20 @@ function normalizeUnit(unit) {
   
   // Temperature units are case-insensitive
   const upperUnit = unit.toUpperCase();
-  if (["C", "F", "K"].includes(upperUnit)) {
+  if (temperatureUnits.includes(upperUnit)) {
     return upperUnit;
   }
+
+  // Temperature differences: "Δ°C", "Δc" → "ΔC"
+  const deltaMatch = unit.match(/^Δ°?([CFKR])$/i);
+  if (deltaMatch) {
+    return "Δ" + deltaMatch[1].toUpperCase();
+  }
+
+  // Saybolt Universal Seconds are written both ways on datasheets
+  if (upperUnit === "SSU") {
+    return "SUS";
+  }
   
   return unit;
 }
@@ -195,7 +477,7 @@ function normalizeUnit(unit) {
 /**
  * Convert temperature value to Kelvin
  * @private
- * @param {string} unit - Temperature unit (C, F, or K)
+ * @param {string} unit - Temperature unit (C, F, K, or R)
  * @param {number} value - Temperature value
  * @returns {number} Temperature in Kelvin
  */
@@ -207,6 +489,8 @@ function temperatureToKelvin(unit, value) {
       return value + 273.15;
     case "F":
       return (value - 32) * 5 / 9 + 273.15;
+    case "R":
+      return value * 5 / 9;
     default:
       throw new Error(`Unsupported temperature unit: ${unit}`);
   }
@@ -215,7 +499,7 @@ function temperatureToKelvin(unit, value) {
 /**
  * Convert temperature value from Kelvin
  * @private
- * @param {string} unit - Temperature unit (C, F, or K)
+ * @param {string} unit - Temperature unit (C, F, K, or R)
  * @param {number} valueK - Temperature value in Kelvin
  * @returns {number} Temperature in target unit
  */
@@ -227,11 +511,196 @@ function temperatureFromKelvin(unit, valueK) {
       return valueK - 273.15;
     case "F":
       return (valueK - 273.15) * 9 / 5 + 32;
+    case "R":
+      return valueK * 9 / 5;
     default:
       throw new Error(`Unsupported temperature unit: ${unit}`);
   }
 }
 
+/**
+ * Solve fn(x) = target for a monotonically increasing fn by bisection.
+ * @private
+ * @param {Function} fn - Monotonically increasing function
+ * @param {number} target - Desired function value
+ * @param {number} lo - Lower bound of the search interval
+ * @param {number} hi - Upper bound of the search interval
+ * @returns {number} x such that fn(x) ≈ target, or NaN if target is outside [fn(lo), fn(hi)]
+ */
+function invertMonotonic(fn, target, lo, hi) {
+  if (target < fn(lo) || target > fn(hi)) return NaN;
+  for (let i = 0; i < 200 && (hi - lo) > 1e-12 * hi; i++) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid) < target) lo = mid; else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Convert a kinematic viscosity where either side is an empirical scale (SUS, °E, ...).
+ * The value passes through cSt; the linear side may be any viscosity unit convertUnit accepts.
+ * @private
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @param {number} value - Value to convert
+ * @param {Object} options - convertUnit options (density for dynamic viscosity units)
+ * @returns {number} Converted value, or NaN outside a scale's validity range
+ */
+function viscosityScaleConversion(fromUnit, toUnit, value, options) {
+  let cSt;
+  if (fromUnit in viscosityScales) {
+    const scale = viscosityScales[fromUnit];
+    if (value < scale.minValue) return NaN;
+    cSt = scale.toCSt(value);
+  } else {
+    cSt = convertUnit(fromUnit, "cSt", value, options);
+  }
+
+  if (!(toUnit in viscosityScales)) {
+    return convertUnit("cSt", toUnit, cSt, options);
+  }
+
+  const scale = viscosityScales[toUnit];
+  return cSt < scale.toCSt(scale.minValue) ? NaN : scale.fromCSt(cSt);
+}
+
+/**
+ * Convert a gauge or absolute pressure reading to absolute Pascal
+ * @private
+ * @param {string} unit - Gauge/absolute pressure unit (e.g. "psig", "bara")
+ * @param {number} value - Pressure reading
+ * @param {number} atmPa - Atmospheric reference in Pa
+ * @returns {number} Absolute pressure in Pa
+ */
+function pressureToAbsolutePa(unit, value, atmPa) {
+  const ref = pressureReferenceUnits[unit];
+  if (!ref) {
+    throw new Error(`Unsupported gauge/absolute pressure unit: ${unit}`);
+  }
+  const pa = value * pressureFactors[ref.unit];
+  return ref.gauge ? pa + atmPa : pa;
+}
+
+/**
+ * Convert an absolute pressure in Pascal to a gauge or absolute reading
+ * @private
+ * @param {string} unit - Gauge/absolute pressure unit (e.g. "psig", "bara")
+ * @param {number} valuePa - Absolute pressure in Pa
+ * @param {number} atmPa - Atmospheric reference in Pa
+ * @returns {number} Pressure reading in the target unit
+ */
+function pressureFromAbsolutePa(unit, valuePa, atmPa) {
+  const ref = pressureReferenceUnits[unit];
+  if (!ref) {
+    throw new Error(`Unsupported gauge/absolute pressure unit: ${unit}`);
+  }
+  const pa = ref.gauge ? valuePa - atmPa : valuePa;
+  return pa / pressureFactors[ref.unit];
+}
+
+/**
+ * SI factor of a plain (unreferenced) pressure unit: a table unit or any
+ * expression the parser resolves to a pressure, e.g. "mbar", "N/mm^2".
+ * @private
+ * @param {string} unit - Pressure unit without a gauge/absolute reference
+ * @returns {number} Factor to Pa, or NaN if the unit is not a pressure
+ */
+function plainPressureFactor(unit) {
+  if (unit in pressureFactors) return pressureFactors[unit];
+  try {
+    const parsed = parseUnitExpression(unit);
+    return sameDimensions(parsed.dimensions, PRESSURE_DIMENSIONS) ? parsed.factor : NaN;
+  } catch {
+    return NaN;
+  }
+}
+
+/**
+ * Convert a pressure where either side is a gauge or absolute unit.
+ * Gauge ↔ absolute applies the atmospheric offset. A plain pressure unit
+ * ("bar", "mbar", "psi") carries no reference, so it is read in the other side's reference.
+ * @private
+ * @param {string} fromUnit - Source unit
+ * @param {string} toUnit - Target unit
+ * @param {number} value - Value to convert
+ * @param {Object} options - convertUnit options (atmosphericPressure / altitude)
+ * @returns {number} Converted value
+ */
+function pressureReferenceConversion(fromUnit, toUnit, value, options) {
+  if (!(fromUnit in pressureReferenceUnits)) {
+    return value * plainPressureFactor(fromUnit) / pressureFactors[pressureReferenceUnits[toUnit].unit];
+  }
+  if (!(toUnit in pressureReferenceUnits)) {
+    return value * pressureFactors[pressureReferenceUnits[fromUnit].unit] / plainPressureFactor(toUnit);
+  }
+
+  let atmPa = atmosphericPressurePa;
+  if (Number.isFinite(options.atmosphericPressure)) {
+    atmPa = convertUnit(options.atmosphericPressureUnit || "Pa", "Pa", options.atmosphericPressure);
+  } else if (Number.isFinite(options.altitude)) {
+    atmPa = altitudeToAtmosphericPressure(convertUnit(options.altitudeUnit || "m", "m", options.altitude));
+  }
+
+  return pressureFromAbsolutePa(toUnit, pressureToAbsolutePa(fromUnit, value, atmPa), atmPa);
+}
+
+// ========== ATMOSPHERIC REFERENCE ==========
+
+/**
+ * Standard-atmosphere pressure at a given altitude (ISO 2533 troposphere model).
+ *
+ * @param {number} altitudeM - Altitude above sea level in meters
+ * @returns {number} Atmospheric pressure in Pa
+ *
+ * @example
+ * altitudeToAtmosphericPressure(0)    // 101325
+ * altitudeToAtmosphericPressure(1500) // ≈ 84556
+ */
+function altitudeToAtmosphericPressure(altitudeM) {
+  return STANDARD_ATMOSPHERE_PA * Math.pow(1 - 2.25577e-5 * altitudeM, 5.25588);
+}
+
+/**
+ * Set the atmospheric reference used for gauge ↔ absolute conversions.
+ *
+ * @param {number} value - Atmospheric pressure
+ * @param {string} [unit="Pa"] - Any pressure unit from pressureFactors
+ * @throws {Error} If the value is not a positive number
+ *
+ * @example
+ * setAtmosphericPressure(14.7, "psi")
+ */
+function setAtmosphericPressure(value, unit = "Pa") {
+  const pa = convertUnit(unit, "Pa", value);
+  if (!Number.isFinite(pa) || pa <= 0) {
+    throw new Error(`Atmospheric pressure must be a positive number, got ${value} ${unit}`);
+  }
+  atmosphericPressurePa = pa;
+}
+
+/**
+ * Set the atmospheric reference from the site altitude (standard atmosphere).
+ *
+ * @param {number} altitude - Site altitude above sea level
+ * @param {string} [unit="m"] - Any length unit
+ *
+ * @example
+ * setAtmosphericPressureFromAltitude(5280, "ft") // Denver
+ */
+function setAtmosphericPressureFromAltitude(altitude, unit = "m") {
+  setAtmosphericPressure(altitudeToAtmosphericPressure(convertUnit(unit, "m", altitude)), "Pa");
+}
+
+/**
+ * Get the current atmospheric reference.
+ *
+ * @param {string} [unit="Pa"] - Any pressure unit from pressureFactors
+ * @returns {number} Atmospheric pressure in the requested unit
+ */
+function getAtmosphericPressure(unit = "Pa") {
+  return convertUnit("Pa", unit, atmosphericPressurePa);
+}
+
 // ========== GET AVAILABLE MEASUREMENTS ==========
 
 /**
@@ -288,6 +757,14 @@ function getToDefault(key) {
 
 // ========== GET AVAILABLE UNITS ==========
 
+/**
+ * Normalize a unit type ("Dynamic Viscosity" → "dynamicviscosity").
+ * @private
+ */
+function normalizeUnitType(unitType) {
+  return unitType.toLowerCase().replace(/\s+/g, '');
+}
+
 /**
  * Get all available units for a specific unit type.
  * 
@@ -297,27 +774,41 @@ function getToDefault(key) {
  * 
  * @example
  * getAvailableUnits("length") // Returns: ["m", "cm", "mm", "in", "ft"]
- * getAvailableUnits("temperature") // Returns: ["C", "F", "K"]
+ * getAvailableUnits("temperature") // Returns: ["C", "F", "K", "R"]
  */
 function getAvailableUnits(unitType) {
   if (!unitType || typeof unitType !== 'string') {
     throw new Error('Unit type must be a non-empty string');
   }
 
-  const normalizedType = unitType.toLowerCase().replace(/\s+/g, '');
+  const normalizedType = normalizeUnitType(unitType);
 
   const unitTypeMap = {
     'length': lengthFactors,
     'area': areaFactors,
     'temperature': temperatureUnits,
+    'temperaturedifference': temperatureDifferenceFactors,
     'density': densityFactors,
-    'kinematicviscosity': kinViscFactors,
+    'kinematicviscosity': [...Object.keys(kinViscFactors), ...Object.keys(viscosityScales)],
     'dynamicviscosity': dynViscFactors,
     'volume': volumeFactors,
     'flow': flowFactors,
     'flowrate': flowFactors,
+    'massflow': massFlowFactors,
+    'massflowrate': massFlowFactors,
     'pressure': pressureFactors,
-    'force': forceFactors
+    'gaugepressure': Object.keys(pressureReferenceUnits),
+    'force': forceFactors,
+    'velocity': velocityFactors,
+    'power': powerFactors,
+    'mass': massFactors,
+    'energy': energyFactors,
+    'torque': torqueFactors,
+    'angle': angleFactors,
+    'time': timeFactors,
+    'rotationalspeed': rotationalSpeedFactors,
+    'displacement': displacementFactors,
+    'heattransfer': heatTransferFactors
   };
 
   const factorTable = unitTypeMap[normalizedType];
@@ -376,64 +867,1450 @@ function linearConversion(factorTable, fromUnit, toUnit, value) {
   return value * (factorTable[fromUnit] / factorTable[toUnit]);
 }
 
-// ========== MAIN CONVERSION FUNCTION ==========
+// ========== DIMENSIONAL ANALYSIS ==========
 
 /**
- * Convert a value from one unit to another.
- * Supports length, area, temperature, density, viscosity, volume, flow, pressure, and force.
- * 
- * @param {string} originalUnit - Source unit
- * @param {string} newUnit - Target unit
- * @param {number} value - Value to convert
- * @returns {number} Converted value, or NaN if input is invalid
- * @throws {Error} If units are unsupported or incompatible
- * 
- * @example
- * convertUnit("m", "ft", 1) // Returns: 3.28084
- * convertUnit("C", "F", 0) // Returns: 32
- * convertUnit("Pa", "psi", 1000) // Returns: 0.145038
+ * Base dimensions, in the order used by every dimension vector below:
+ * mass, length, time, temperature, angle.
  */
-function convertUnit(originalUnit, newUnit, value) {
-  // Validate input value
-  if (typeof value !== "number" || !Number.isFinite(value)) {
-    console.warn(`Invalid value for conversion: ${value}`);
-    return NaN;
+const BASE_DIMENSIONS = ["M", "L", "T", "Θ", "A"];
+
+/**
+ * SI prefixes accepted in front of prefixable unit symbols.
+ * "u", "µ" (micro sign) and "μ" (Greek mu) are all accepted for micro.
+ */
+const siPrefixes = {
+  "G": 1e9, "M": 1e6, "k": 1e3, "h": 1e2, "da": 1e1,
+  "d": 1e-1, "c": 1e-2, "m": 1e-3,
+  "µ": 1e-6, "μ": 1e-6, "u": 1e-6,
+  "n": 1e-9
+};
+
+/**
+ * Unit symbols understood by the expression parser.
+ * factor converts to SI; dims is the exponent vector over BASE_DIMENSIONS.
+ * Symbols flagged prefixable also accept an SI prefix (e.g. "kN", "µm", "mbar").
+ */
+const unitSymbols = {
+  // Length
+  "m":   { factor: 1,          dims: [0, 1, 0, 0, 0], prefixable: true },
+  "in":  { factor: 0.0254,     dims: [0, 1, 0, 0, 0] },
+  "ft":  { factor: 0.3048,     dims: [0, 1, 0, 0, 0] },
+  "yd":  { factor: 0.9144,     dims: [0, 1, 0, 0, 0] },
+  "mi":  { factor: 1609.344,   dims: [0, 1, 0, 0, 0] },
+  // Mass
+  "g":   { factor: 1e-3,       dims: [1, 0, 0, 0, 0], prefixable: true },
+  "t":   { factor: 1000,       dims: [1, 0, 0, 0, 0] },
+  "lb":  { factor: 0.45359237, dims: [1, 0, 0, 0, 0] },
+  "oz":  { factor: 0.028349523, dims: [1, 0, 0, 0, 0] },
+  // Time
+  "s":   { factor: 1,          dims: [0, 0, 1, 0, 0], prefixable: true },
+  "min": { factor: 60,         dims: [0, 0, 1, 0, 0] },
+  "h":   { factor: 3600,       dims: [0, 0, 1, 0, 0] },
+  "day": { factor: 86400,      dims: [0, 0, 1, 0, 0] },
+  "Hz":  { factor: 1,          dims: [0, 0, -1, 0, 0], prefixable: true },
+  // Temperature (absolute scales and differences; offset scales cannot be compounded)
+  "K":   { factor: 1,          dims: [0, 0, 0, 1, 0] },
+  "R":   { factor: 5 / 9,      dims: [0, 0, 0, 1, 0] },
+  "ΔK":  { factor: 1,          dims: [0, 0, 0, 1, 0] },
+  "ΔC":  { factor: 1,          dims: [0, 0, 0, 1, 0] },
+  "ΔF":  { factor: 5 / 9,      dims: [0, 0, 0, 1, 0] },
+  "ΔR":  { factor: 5 / 9,      dims: [0, 0, 0, 1, 0] },
+  // Volume
+  "L":   { factor: 1e-3,       dims: [0, 3, 0, 0, 0], prefixable: true },
+  "l":   { factor: 1e-3,       dims: [0, 3, 0, 0, 0], prefixable: true },
+  "cc":  { factor: 1e-6,       dims: [0, 3, 0, 0, 0] },
+  "gal": { factor: 0.00378541, dims: [0, 3, 0, 0, 0] },
+  "gal(US)": { factor: 0.00378541, dims: [0, 3, 0, 0, 0] },
+  "gal(UK)": { factor: 0.00454609, dims: [0, 3, 0, 0, 0] },
+  "gpm": { factor: 0.00378541 / 60, dims: [0, 3, -1, 0, 0] },
+  // Force
+  "N":   { factor: 1,          dims: [1, 1, -2, 0, 0], prefixable: true },
+  "lbf": { factor: 4.44822,    dims: [1, 1, -2, 0, 0] },
+  "kgf": { factor: 9.80665,    dims: [1, 1, -2, 0, 0] },
+  // Pressure
+  "Pa":  { factor: 1,          dims: [1, -1, -2, 0, 0], prefixable: true },
+  "bar": { factor: 1e5,        dims: [1, -1, -2, 0, 0], prefixable: true },
+  "psi": { factor: 6894.76,    dims: [1, -1, -2, 0, 0] },
+  "atm": { factor: 101325,     dims: [1, -1, -2, 0, 0] },
+  // Energy and power
+  "J":   { factor: 1,          dims: [1, 2, -2, 0, 0], prefixable: true },
+  "Wh":  { factor: 3600,       dims: [1, 2, -2, 0, 0], prefixable: true },
+  "cal": { factor: 4.184,      dims: [1, 2, -2, 0, 0], prefixable: true },
+  "BTU": { factor: 1055.05585, dims: [1, 2, -2, 0, 0] },
+  "W":   { factor: 1,          dims: [1, 2, -3, 0, 0], prefixable: true },
+  "hp":  { factor: 745.69987,  dims: [1, 2, -3, 0, 0] },
+  "hp(metric)": { factor: 735.49875, dims: [1, 2, -3, 0, 0] },
+  // Viscosity
+  "St":  { factor: 1e-4,       dims: [0, 2, -1, 0, 0], prefixable: true },
+  "P":   { factor: 0.1,        dims: [1, -1, -1, 0, 0], prefixable: true },
+  // Angle, its own dimension so revolutions never pass silently for plain counts
+  "rad": { factor: 1,           dims: [0, 0, 0, 0, 1] },
+  "deg": { factor: Math.PI / 180, dims: [0, 0, 0, 0, 1] },
+  "rev": { factor: 2 * Math.PI, dims: [0, 0, 0, 0, 1] },
+  "grad": { factor: Math.PI / 200, dims: [0, 0, 0, 0, 1] },
+  "rpm": { factor: 2 * Math.PI / 60, dims: [0, 0, -1, 0, 1] }
+};
+
+/** Offset temperature scales, rejected inside compound expressions */
+const OFFSET_UNIT_SYMBOLS = ["C", "F", "°C", "°F", "degC", "degF"];
+
+/** Alternative spellings of temperature difference symbols */
+const DELTA_UNIT_ALIASES = { "Δ°C": "ΔC", "Δ°F": "ΔF", "Δ°R": "ΔR" };
+
+/** Unicode superscript digits → ASCII exponent characters */
+const SUPERSCRIPTS = { "⁻": "-", "⁰": "0", "¹": "1", "²": "2", "³": "3", "⁴": "4", "⁵": "5", "⁶": "6", "⁷": "7", "⁸": "8", "⁹": "9" };
+
+/**
+ * Split a unit expression into tokens.
+ * @private
+ * @param {string} expr - Unit expression, e.g. "bar/(L/min)^2"
+ * @returns {{ type: string, value: string|number }[]} Token list
+ */
+function tokenizeUnitExpression(expr) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < expr.length) {
+    const ch = expr[i];
+
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (ch === "*" || ch === "·" || ch === "×" || ch === "⋅") {
+      tokens.push({ type: "op", value: "*" }); i++; continue;
+    }
+    if (ch === "/" || ch === "(" || ch === ")" || ch === "^") {
+      tokens.push({ type: "op", value: ch }); i++; continue;
+    }
+
+    // Superscript exponent, e.g. "m²" or "s⁻¹"
+    if (ch in SUPERSCRIPTS) {
+      let exp = "";
+      while (i < expr.length && expr[i] in SUPERSCRIPTS) exp += SUPERSCRIPTS[expr[i++]];
+      tokens.push({ type: "op", value: "^" });
+      tokens.push({ type: "number", value: parseFloat(exp) });
+      continue;
+    }
+
+    // Numeric literal (scale factor or exponent)
+    const num = expr.slice(i).match(/^-?\d+(\.\d+)?(e-?\d+)?/i);
+    if (num && (ch !== "-" || tokens.length === 0 || tokens[tokens.length - 1].value === "^")) {
+      tokens.push({ type: "number", value: parseFloat(num[0]) });
+      i += num[0].length;
+      continue;
+    }
+
+    // Unit symbol, optionally qualified ("gal(US)") and with a trailing exponent ("mm2")
+    const ident = expr.slice(i).match(/^Δ?[A-Za-zµμ°]+/);
+    if (ident) {
+      let name = DELTA_UNIT_ALIASES[ident[0]] || ident[0];
+      i += ident[0].length;
+      const qualifier = expr.slice(i).match(/^\([A-Za-z]+\)/);
+      if (qualifier && (name + qualifier[0]) in unitSymbols) {
+        name += qualifier[0];
+        i += qualifier[0].length;
+      }
+      tokens.push({ type: "unit", value: name });
+      const trailingExp = expr.slice(i).match(/^\d+/);
+      if (trailingExp) {
+        tokens.push({ type: "op", value: "^" });
+        tokens.push({ type: "number", value: parseInt(trailingExp[0], 10) });
+        i += trailingExp[0].length;
+      }
+      continue;
+    }
+
+    throw new Error(`Unexpected character "${ch}" in unit expression "${expr}"`);
   }
 
-  // Normalize unit strings
-  let fromUnit, toUnit;
-  try {
-    fromUnit = normalizeUnit(originalUnit);
-    toUnit = normalizeUnit(newUnit);
-  } catch (error) {
-    console.error(error.message);
-    throw error;
+  return tokens;
+}
+
+/**
+ * Resolve a single unit symbol (with optional SI prefix) to factor and dimensions.
+ * @private
+ * @param {string} name - Symbol such as "kN", "µm" or "psi"
+ * @param {string} expr - Full expression, for error messages
+ * @returns {{ factor: number, dims: number[] }}
+ */
+function resolveUnitSymbol(name, expr) {
+  if (name in unitSymbols) {
+    return { factor: unitSymbols[name].factor, dims: unitSymbols[name].dims };
   }
 
-  // Same unit - no conversion needed
-  if (fromUnit === toUnit) {
-    return value;
+  if (OFFSET_UNIT_SYMBOLS.includes(name)) {
+    throw new Error(`Offset temperature unit "${name}" cannot be used in a compound expression ("${expr}"); use K instead`);
   }
 
-  // Temperature conversion (special case)
-  if (["C", "F", "K"].includes(fromUnit) && ["C", "F", "K"].includes(toUnit)) {
-    try {
-      return temperatureFromKelvin(toUnit, temperatureToKelvin(fromUnit, value));
-    } catch (error) {
-      console.error(`Temperature conversion error: ${error.message}`);
-      throw error;
+  // Longest prefix first so "da" wins over "d"
+  const prefixes = Object.keys(siPrefixes).sort((a, b) => b.length - a.length);
+  for (const prefix of prefixes) {
+    if (!name.startsWith(prefix)) continue;
+    const base = unitSymbols[name.slice(prefix.length)];
+    if (base && base.prefixable) {
+      return { factor: siPrefixes[prefix] * base.factor, dims: base.dims };
     }
   }
 
-  // Try linear conversions for each unit type
-  for (const [typeName, factorTable] of Object.entries(unitTypeRegistry)) {
-    if (fromUnit in factorTable && toUnit in factorTable) {
-      return linearConversion(factorTable, fromUnit, toUnit, value);
+  throw new Error(`Unknown unit "${name}" in expression "${expr}"`);
+}
+
+/**
+ * Parse a compound unit expression into an SI factor and a dimension vector.
+ * Supports SI prefixes, products ("*", "·"), quotients ("/"), parentheses,
+ * and integer or fractional powers ("^2", "^-1", "²", "mm2").
+ *
+ * @param {string} expr - Unit expression, e.g. "kN*m", "mm^3/rev", "bar/(L/min)^2"
+ * @returns {{ factor: number, dimensions: number[] }} Multiply a value by factor to get SI
+ * @throws {Error} If the expression is malformed or contains an unknown unit
+ *
+ * @example
+ * parseUnitExpression("kN*m")      // { factor: 1000, dimensions: [1, 2, -2, 0, 0] }
+ * parseUnitExpression("µm")        // { factor: 1e-6, dimensions: [0, 1, 0, 0, 0] }
+ */
+function parseUnitExpression(expr) {
+  if (!expr || typeof expr !== "string") {
+    throw new Error("Unit must be a non-empty string");
+  }
+
+  const tokens = tokenizeUnitExpression(expr);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === "op" && peek().value === value;
+
+  // product := power (("*" | "/") power)*
+  function parseProduct() {
+    let result = parsePower();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      const rhs = parsePower();
+      result = op === "*"
+        ? { factor: result.factor * rhs.factor, dims: result.dims.map((d, k) => d + rhs.dims[k]) }
+        : { factor: result.factor / rhs.factor, dims: result.dims.map((d, k) => d - rhs.dims[k]) };
+    }
+    return result;
+  }
+
+  // power := atom ("^" number)?
+  function parsePower() {
+    const base = parseAtom();
+    if (!isOp("^")) return base;
+    pos++;
+    const exp = peek();
+    if (!exp || exp.type !== "number") {
+      throw new Error(`Expected a number after "^" in unit expression "${expr}"`);
+    }
+    pos++;
+    return { factor: Math.pow(base.factor, exp.value), dims: base.dims.map(d => d * exp.value) };
+  }
+
+  // atom := unit | number | "(" product ")"
+  function parseAtom() {
+    const tok = peek();
+    if (!tok) throw new Error(`Unexpected end of unit expression "${expr}"`);
+    pos++;
+    if (tok.type === "unit") return resolveUnitSymbol(tok.value, expr);
+    if (tok.type === "number") return { factor: tok.value, dims: BASE_DIMENSIONS.map(() => 0) };
+    if (tok.value === "(") {
+      const inner = parseProduct();
+      if (!isOp(")")) throw new Error(`Missing ")" in unit expression "${expr}"`);
+      pos++;
+      return inner;
     }
+    throw new Error(`Unexpected "${tok.value}" in unit expression "${expr}"`);
+  }
+
+  const result = parseProduct();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}" in unit expression "${expr}"`);
+  }
+
+  return { factor: result.factor, dimensions: result.dims };
+}
+
+/**
+ * Format a dimension vector for error messages, e.g. [1, -1, -2, 0, 0] → "M·L⁻¹·T⁻²".
+ * @private
+ * @param {number[]} dims - Exponents over BASE_DIMENSIONS
+ * @returns {string} Readable dimension string ("dimensionless" if all zero)
+ */
+function formatDimensions(dims) {
+  const toSuperscript = (n) => String(n).split("").map(c =>
+    Object.keys(SUPERSCRIPTS).find(k => SUPERSCRIPTS[k] === c) || c
+  ).join("");
+
+  const parts = dims
+    .map((exp, k) => exp === 0 ? null : BASE_DIMENSIONS[k] + (exp === 1 ? "" : toSuperscript(exp)))
+    .filter(Boolean);
+
+  return parts.length ? parts.join("·") : "dimensionless";
+}
+
+/**
+ * Compare two dimension vectors, tolerating floating-point noise from fractional powers.
+ * @private
+ */
+function sameDimensions(a, b) {
+  return a.every((d, k) => Math.abs(d - b[k]) < 1e-9);
+}
+
+/** Dimensions of a plain frequency (T⁻¹) and of a rotational speed (A·T⁻¹) */
+const FREQUENCY_DIMENSIONS = [0, 0, -1, 0, 0];
+const ROTATIONAL_SPEED_DIMENSIONS = [0, 0, -1, 0, 1];
+
+/**
+ * Factor that bridges a rotational speed and a plain frequency, counting one revolution
+ * as one cycle (60 rpm = 1 Hz = 1/s). Angles are not dropped anywhere else:
+ * "cm^3/rev*bar" is N·m per radian, not N·m.
+ * @private
+ * @param {number[]} fromDims - Dimensions of the source unit
+ * @param {number[]} toDims - Dimensions of the target unit
+ * @returns {number} Extra factor for the SI values, or NaN if the pair is not bridged
+ */
+function cycleBridgeFactor(fromDims, toDims) {
+  if (sameDimensions(fromDims, ROTATIONAL_SPEED_DIMENSIONS) && sameDimensions(toDims, FREQUENCY_DIMENSIONS)) {
+    return 1 / (2 * Math.PI);
+  }
+  if (sameDimensions(fromDims, FREQUENCY_DIMENSIONS) && sameDimensions(toDims, ROTATIONAL_SPEED_DIMENSIONS)) {
+    return 2 * Math.PI;
+  }
+  return NaN;
+}
+
+/**
+ * Check whether two unit expressions describe the same physical dimension.
+ *
+ * @param {string} unitA - First unit expression
+ * @param {string} unitB - Second unit expression
+ * @returns {boolean} True if a value in unitA can be converted to unitB
+ *
+ * @example
+ * areUnitsCompatible("kN*m", "lbf*ft") // true
+ * areUnitsCompatible("bar", "L/min")   // false
+ */
+function areUnitsCompatible(unitA, unitB) {
+  try {
+    const a = parseUnitExpression(unitA).dimensions;
+    const b = parseUnitExpression(unitB).dimensions;
+    return sameDimensions(a, b) || Number.isFinite(cycleBridgeFactor(a, b));
+  } catch {
+    return false;
+  }
+}
+
+/** Dimensions of density (M·L⁻³), the bridge between mass and volume based units */
+const DENSITY_DIMENSIONS = [1, -3, 0, 0, 0];
+
+/** Dimensions of pressure (M·L⁻¹·T⁻²), used to pair plain units with gauge/absolute ones */
+const PRESSURE_DIMENSIONS = [1, -1, -2, 0, 0];
+
+/**
+ * Resolve the density used to bridge mass and volume based units.
+ * @private
+ * @param {Object} options - convertUnit options
+ * @returns {number} Density in kg/m³
+ * @throws {Error} If no usable density or fluid is given
+ */
+function resolveDensity(options) {
+  if (Number.isFinite(options.density)) {
+    return convertUnit(options.densityUnit || "kg/m^3", "kg/m^3", options.density);
+  }
+
+  if (options.fluid) {
+    if (typeof OilProps === "undefined") {
+      throw new Error(`cannot look up density of "${options.fluid}": getOilProperties.js is not loaded`);
+    }
+    const tK = convertUnit(options.temperatureUnit || "K", "K", options.temperature);
+    const density = OilProps.getDensityAtTemp(options.fluid, tK);
+    if (!Number.isFinite(density)) {
+      throw new Error(`no density available for fluid "${options.fluid}" at ${options.temperature} ${options.temperatureUnit || "K"}`);
+    }
+    return density;
+  }
+
+  throw new Error("a density is required; pass { density } or { fluid, temperature }");
+}
+
+/**
+ * Convert between two arbitrary unit expressions by dimensional analysis.
+ * Units that differ by exactly one density factor (mass ↔ volumetric flow,
+ * dynamic ↔ kinematic viscosity) are bridged with the density from options.
+ * @private
+ * @param {string} fromUnit - Source unit expression
+ * @param {string} toUnit - Target unit expression
+ * @param {number} value - Value to convert
+ * @param {Object} options - convertUnit options (density / fluid)
+ * @returns {number} Converted value
+ * @throws {Error} If either expression is invalid, the dimensions differ, or a density is missing
+ */
+function dimensionalConversion(fromUnit, toUnit, value, options) {
+  const from = parseUnitExpression(fromUnit);
+  const to = parseUnitExpression(toUnit);
+  const delta = to.dimensions.map((d, k) => d - from.dimensions[k]);
+
+  if (sameDimensions(delta, DENSITY_DIMENSIONS)) {
+    return value * from.factor * resolveDensity(options) / to.factor;
+  }
+  if (sameDimensions(delta.map(d => -d), DENSITY_DIMENSIONS)) {
+    return value * from.factor / resolveDensity(options) / to.factor;
+  }
+
+  const cycles = cycleBridgeFactor(from.dimensions, to.dimensions);
+  if (Number.isFinite(cycles)) {
+    return value * from.factor * cycles / to.factor;
+  }
+
+  if (!sameDimensions(from.dimensions, to.dimensions)) {
+    throw new Error(
+      `Incompatible units: "${fromUnit}" is ${formatDimensions(from.dimensions)} ` +
+      `but "${toUnit}" is ${formatDimensions(to.dimensions)}`
+    );
+  }
+
+  return value * (from.factor / to.factor);
+}
+
+// ========== MAIN CONVERSION FUNCTION ==========
+
+/**
+ * Convert a value from one unit to another.
+ * Units outside the factor tables are parsed as compound expressions
+ * (SI prefixes, products, quotients and powers) and checked for matching dimensions.
+ * Supports length, area, temperature, temperature difference, density, viscosity, volume,
+ * flow, pressure, force, velocity, power, mass, energy, torque, angle, time,
+ * rotational speed, displacement and heat transfer coefficient.
+ * 
+ * @param {string} originalUnit - Source unit
+ * @param {string} newUnit - Target unit
+ * @param {number} value - Value to convert
+ * @param {Object} [options] - Extra data for conversions that need it
+ * @param {number} [options.density] - Density for mass ↔ volume conversions
+ * @param {string} [options.densityUnit="kg/m^3"] - Unit of options.density
+ * @param {string} [options.fluid] - Fluid name to look the density up through OilProps
+ * @param {number} [options.temperature] - Fluid temperature, used with options.fluid
+ * @param {string} [options.temperatureUnit="K"] - Unit of options.temperature
+ * @param {number} [options.atmosphericPressure] - Gauge reference for this call only
+ * @param {string} [options.atmosphericPressureUnit="Pa"] - Unit of options.atmosphericPressure
+ * @param {number} [options.altitude] - Site altitude, used for the gauge reference if no atmosphericPressure
+ * @param {string} [options.altitudeUnit="m"] - Unit of options.altitude
+ * @returns {number} Converted value, or NaN if input is invalid or outside a viscosity scale's range
+ * @throws {Error} If units are unsupported or incompatible, or a required density is missing
+ * 
+ * @example
+ * convertUnit("m", "ft", 1) // Returns: 3.28084
+ * convertUnit("C", "F", 0) // Returns: 32
+ * convertUnit("ΔC", "ΔF", 10) // Returns: 18
+ * convertUnit("Pa", "psi", 1000) // Returns: 0.145038
+ * convertUnit("kN*m", "lbf*ft", 1) // Returns: 737.562
+ * convertUnit("L/min", "kg/s", 60, { density: 870 }) // Returns: 0.87
+ * convertUnit("barg", "psia", 10) // Returns: 159.73
+ * convertUnit("cSt", "cP", 46, { fluid: "ISO VG 46", temperature: 40, temperatureUnit: "C" })
+ */
+function convertUnit(originalUnit, newUnit, value, options = {}) {
+  // Validate input value
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    console.warn(`Invalid value for conversion: ${value}`);
+    return NaN;
+  }
+
+  // Normalize unit strings
+  let fromUnit, toUnit;
+  try {
+    fromUnit = normalizeUnit(originalUnit);
+    toUnit = normalizeUnit(newUnit);
+  } catch (error) {
+    console.error(error.message);
+    throw error;
+  }
+
+  // Same unit - no conversion needed
+  if (fromUnit === toUnit) {
+    return value;
+  }
+
+  // Temperature conversion (special case)
+  if (temperatureUnits.includes(fromUnit) && temperatureUnits.includes(toUnit)) {
+    try {
+      return temperatureFromKelvin(toUnit, temperatureToKelvin(fromUnit, value));
+    } catch (error) {
+      console.error(`Temperature conversion error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Gauge / absolute pressure (special case, offset by the atmosphere)
+  const fromIsRef = fromUnit in pressureReferenceUnits;
+  const toIsRef = toUnit in pressureReferenceUnits;
+  if ((fromIsRef || toIsRef) &&
+      (fromIsRef || Number.isFinite(plainPressureFactor(fromUnit))) &&
+      (toIsRef || Number.isFinite(plainPressureFactor(toUnit)))) {
+    return pressureReferenceConversion(fromUnit, toUnit, value, options);
+  }
+
+  // Empirical viscosity scales (special case, non-linear)
+  if (fromUnit in viscosityScales || toUnit in viscosityScales) {
+    return viscosityScaleConversion(fromUnit, toUnit, value, options);
+  }
+
+  // Try linear conversions for each unit type
+  for (const [typeName, factorTable] of Object.entries(unitTypeRegistry)) {
+    if (fromUnit in factorTable && toUnit in factorTable) {
+      return linearConversion(factorTable, fromUnit, toUnit, value);
+    }
+  }
+
+  // Fall back to dimensional analysis for compound expressions ("kN*m", "bar/(L/min)^2", "µm")
+  const temperatureSide = [fromUnit, toUnit].find(u => temperatureUnits.includes(u));
+  if (temperatureSide) {
+    throw new Error(`Unsupported conversion from "${originalUnit}" to "${newUnit}": "${temperatureSide}" is an absolute temperature (use ΔK, ΔC, ΔF or ΔR for differences)`);
+  }
+  try {
+    return dimensionalConversion(fromUnit, toUnit, value, options);
+  } catch (error) {
+    throw new Error(`Unsupported conversion from "${originalUnit}" to "${newUnit}": ${error.message}`);
+  }
+}
+
+// ========== NUMBER LOCALE ==========
+
+/** localStorage key for the number format preference ("auto" follows the browser) */
+const NUMBER_LOCALE_STORAGE_KEY = "simdev.numberLocale";
+
+let numberLocalePreference = readStorage(NUMBER_LOCALE_STORAGE_KEY) || "auto";
+
+/** Decimal and group separators per locale, filled on first use */
+const numberSeparatorCache = {};
+
+/**
+ * Get the locale used to read and write numbers.
+ *
+ * @returns {string} BCP 47 locale, e.g. "de-DE" (the browser locale when the preference is "auto")
+ */
+function getNumberLocale() {
+  if (numberLocalePreference !== "auto") return numberLocalePreference;
+  return (typeof navigator !== "undefined" && navigator.language) || "en-US";
+}
+
+/**
+ * Set and persist the number format preference.
+ *
+ * @param {string} locale - BCP 47 locale such as "de-DE", or "auto" for the browser locale
+ * @throws {RangeError} If the locale is not valid
+ */
+function setNumberLocale(locale) {
+  if (locale !== "auto") new Intl.NumberFormat(locale); // throws on an invalid tag
+  numberLocalePreference = locale;
+  writeStorage(NUMBER_LOCALE_STORAGE_KEY, locale);
+}
+
+/**
+ * Decimal and group separators of the number locale, e.g. { decimal: ",", group: "." } for de-DE.
+ *
+ * @returns {{ decimal: string, group: string }}
+ */
+function getNumberSeparators() {
+  const locale = getNumberLocale();
+  if (!numberSeparatorCache[locale]) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    numberSeparatorCache[locale] = {
+      decimal: (parts.find(p => p.type === "decimal") || { value: "." }).value,
+      group: (parts.find(p => p.type === "group") || { value: "," }).value
+    };
+  }
+  return numberSeparatorCache[locale];
+}
+
+/**
+ * Parse a number typed in either the user's locale or plain "." notation.
+ * "46,5" and "46.5" both read as 46.5; a separator followed by groups of exactly
+ * three digits is read as thousands grouping only when it is the locale's group
+ * separator ("1.000" is 1000 in de-DE, 1 in en-US). Spaces and apostrophes are ignored.
+ *
+ * @param {string|number} text - Input text
+ * @returns {number} Parsed value, or NaN if the text is not a number
+ *
+ * @example
+ * parseLocaleNumber("46,5")       // 46.5
+ * parseLocaleNumber("1.234,5")    // 1234.5
+ * parseLocaleNumber("1,234.5")    // 1234.5
+ */
+function parseLocaleNumber(text) {
+  if (typeof text === "number") return text;
+  let s = String(text).trim().replace(/[\s']/g, "");
+  const hasComma = s.includes(",");
+  const hasDot = s.includes(".");
+
+  if (hasComma && hasDot) {
+    // Both present: the later one is the decimal mark, the other groups thousands
+    const decimalMark = s.lastIndexOf(",") > s.lastIndexOf(".") ? "," : ".";
+    s = s.split(decimalMark === "," ? "." : ",").join("").replace(decimalMark, ".");
+  } else if (hasComma || hasDot) {
+    const mark = hasComma ? "," : ".";
+    const grouped = new RegExp(`^[-+]?\\d{1,3}(\\${mark}\\d{3})+$`).test(s);
+    s = grouped && mark === getNumberSeparators().group ? s.split(mark).join("") : s.replace(mark, ".");
+  }
+
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(s) ? Number(s) : NaN;
+}
+
+/**
+ * Swap the "." decimal point of a formatted number for the locale's decimal separator.
+ * Grouping is left out so the text can be typed back in or pasted into a spreadsheet.
+ * @private
+ */
+function localizeDecimal(text) {
+  const { decimal } = getNumberSeparators();
+  return decimal === "." ? text : text.replace(/\./g, decimal);
+}
+
+/**
+ * Format a number with fixed decimals and the locale's decimal separator.
+ *
+ * @param {number} value - Value to format
+ * @param {number} decimals - Digits after the decimal point
+ * @returns {string} Formatted value, or "N/A" for non-finite values
+ *
+ * @example
+ * formatLocaleNumber(46.5, 2)   // "46.50" (en-US), "46,50" (de-DE)
+ */
+function formatLocaleNumber(value, decimals) {
+  return Number.isFinite(value) ? localizeDecimal(value.toFixed(decimals)) : "N/A";
+}
+
+/**
+ * Format a number for a text input or export without losing precision (up to 10 significant figures).
+ *
+ * @param {number} value - Value to format
+ * @returns {string} Shortest round-tripping text in the locale, "" for non-finite values
+ */
+function formatLocaleInput(value) {
+  return Number.isFinite(value) ? localizeDecimal(String(Number(value.toPrecision(10)))) : "";
+}
+
+/**
+ * Column delimiter for CSV exports: ";" where "," is the decimal separator (as spreadsheets expect).
+ *
+ * @returns {string} "," or ";"
+ */
+function getCsvDelimiter() {
+  return getNumberSeparators().decimal === "," ? ";" : ",";
+}
+
+// ========== BATCH CONVERSION ==========
+/**
+ * Split pasted or uploaded text into rows of cells.
+ * The delimiter is detected from the first line: tab, then semicolon, then comma
+ * (";" where "," is the decimal separator, see getCsvDelimiter).
+ * Double-quoted cells may contain the delimiter; "" inside them is a literal quote.
+ *
+ * @param {string} text - Delimited text, one row per line
+ * @returns {string[][]} Rows of trimmed cells; blank lines are skipped
+ *
+ * @example
+ * parseDelimitedText("Flow\tPressure\n10\t200")   // [["Flow", "Pressure"], ["10", "200"]]
+ */
+function parseDelimitedText(text) {
+  const lines = String(text).split(/\r?\n/).filter(line => line.trim() !== "");
+  if (lines.length === 0) return [];
+  const first = lines[0];
+  const delimiter = first.includes("\t") ? "\t" : first.includes(";") ? ";" : getCsvDelimiter();
+
+  return lines.map(line => {
+    const cells = [];
+    let cell = "", quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (ch === '"') {
+        if (quoted && line[i + 1] === '"') { cell += '"'; i++; continue; }
+        quoted = !quoted;
+        continue;
+      }
+      if (ch === delimiter && !quoted) { cells.push(cell.trim()); cell = ""; continue; }
+      cell += ch;
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+}
+
+/**
+ * Take the column names off parsed rows and name any unnamed column "Column N".
+ *
+ * @param {string[][]} rows - Rows from parseDelimitedText (not modified)
+ * @param {boolean} hasHeader - Whether the first row holds the column names
+ * @returns {{names: string[], rows: string[][]}} One name per column of the widest row, and the data rows
+ */
+function splitBatchHeader(rows, hasHeader) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  const names = hasHeader && rows.length > 0 ? rows[0].slice() : [];
+  for (let c = 0; c < width; c++) {
+    if (!names[c]) names[c] = `Column ${c + 1}`;
+  }
+  return { names, rows: hasHeader ? rows.slice(1) : rows.slice() };
+}
+
+/**
+ * Convert every numeric cell of the configured columns.
+ * Empty cells and unconfigured columns pass through; a cell that is not a number keeps its
+ * text and one whose units cannot be converted becomes "Error", both flagged in errorCells.
+ *
+ * @param {string[][]} rows - Data rows
+ * @param {Array<{from: string, to: string}|null>} columns - Units per column, null to keep as is
+ * @returns {{results: string[][], errorCells: Set<string>, converted: number}}
+ *          Converted rows, "row:column" keys of the failed cells, and the number of values converted
+ *
+ * @example
+ * convertBatchRows([["10", "A1"]], [{ from: "gpm", to: "L/min" }, null]).results
+ * // [["37.8541", "A1"]]
+ */
+function convertBatchRows(rows, columns) {
+  const errorCells = new Set();
+  let converted = 0;
+
+  const results = rows.map((row, r) => columns.map((col, c) => {
+    const raw = row[c] ?? "";
+    if (!col || raw === "") return raw;
+    const value = parseLocaleNumber(raw);
+    if (!Number.isFinite(value)) {
+      errorCells.add(`${r}:${c}`);
+      return raw;
+    }
+    try {
+      const text = formatLocaleInput(convertUnit(col.from, col.to, value));
+      converted++;
+      return text;
+    } catch (e) {
+      errorCells.add(`${r}:${c}`);
+      return "Error";
+    }
+  }));
+
+  return { results, errorCells, converted };
+}
+
+/**
+ * Serialize converted rows under a header tagged with the target unit of each converted column.
+ * Cells containing the delimiter, a quote or a line break are quoted.
+ *
+ * @param {string[]} names - Column names
+ * @param {string[][]} results - Rows from convertBatchRows
+ * @param {Array<{from: string, to: string}|null>} columns - Units per column, null if kept as is
+ * @param {string} delimiter - "\t" for the clipboard, getCsvDelimiter() for CSV files
+ * @returns {string} Delimited text, rows joined with "\n"
+ *
+ * @example
+ * formatBatchText(["Flow"], [["37.85"]], [{ from: "gpm", to: "L/min" }], ",")   // "Flow [L/min]\n37.85"
+ */
+function formatBatchText(names, results, columns, delimiter) {
+  const header = names.map((name, c) => columns[c] ? `${name} [${columns[c].to}]` : name);
+  const quote = cell => {
+    const text = String(cell);
+    return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [header, ...results]
+    .map(row => row.map(quote).join(delimiter))
+    .join("\n");
+}
+
+// ========== UNCERTAINTY & SIGNIFICANT FIGURES ==========
+
+/** Significant figures shown for values without an uncertainty */
+const DEFAULT_SIGNIFICANT_FIGURES = 4;
+
+/**
+ * Convert a value and its ± uncertainty between units.
+ * The uncertainty is carried as half the spread of the converted interval, so
+ * offset scales (°C → °F) and non-linear scales (cSt → SUS) are handled too.
+ *
+ * @param {string} originalUnit - Unit to convert from
+ * @param {string} newUnit - Unit to convert to
+ * @param {number} value - Value to convert
+ * @param {number} [uncertainty=0] - ± uncertainty in originalUnit
+ * @param {Object} [options] - convertUnit options
+ * @returns {{ value: number, uncertainty: number }} Converted value and uncertainty
+ * @throws {Error} If the conversion is not supported
+ *
+ * @example
+ * convertUnitWithUncertainty("C", "F", 40, 0.5)       // { value: 104, uncertainty: 0.9 }
+ * convertUnitWithUncertainty("cSt", "SUS", 46, 4.6)   // { value: 213.6, uncertainty: ≈21.3 }
+ */
+function convertUnitWithUncertainty(originalUnit, newUnit, value, uncertainty = 0, options = {}) {
+  const converted = convertUnit(originalUnit, newUnit, value, options);
+  if (!uncertainty || !Number.isFinite(converted)) {
+    return { value: converted, uncertainty: 0 };
+  }
+
+  // Interval ends outside a scale's valid range (e.g. below 32 SUS) fall back to one side
+  const at = (v) => {
+    try {
+      return convertUnit(originalUnit, newUnit, v, options);
+    } catch (error) {
+      return NaN;
+    }
+  };
+  const upper = at(value + Math.abs(uncertainty));
+  const lower = at(value - Math.abs(uncertainty));
+  const spread = Number.isFinite(upper) && Number.isFinite(lower)
+    ? Math.abs(upper - lower) / 2
+    : Math.abs((Number.isFinite(upper) ? upper : lower) - converted);
+
+  return { value: converted, uncertainty: spread };
+}
+
+/**
+ * Format a number with sensible significant figures.
+ * With an uncertainty, the uncertainty is rounded to two significant figures and the
+ * value to the same decimal place ("45.9 ± 4.6"); without one, sigFigs are kept.
+ * Very large or small magnitudes use exponent notation. The decimal separator
+ * follows the number locale (getNumberLocale).
+ *
+ * @param {number} value - Value to format
+ * @param {number} [uncertainty=0] - ± uncertainty in the same unit
+ * @param {number} [sigFigs=DEFAULT_SIGNIFICANT_FIGURES] - Significant figures without an uncertainty
+ * @returns {string} Formatted value, or "N/A" for non-finite values
+ *
+ * @example
+ * formatSignificant(2.03718)          // "2.037"
+ * formatSignificant(45.92, 4.592)     // "45.9 ± 4.6"
+ * formatSignificant(0.0000412, 4e-6)  // "4.12e-5 ± 4.0e-6"
+ */
+function formatSignificant(value, uncertainty = 0, sigFigs = DEFAULT_SIGNIFICANT_FIGURES) {
+  if (!Number.isFinite(value)) return "N/A";
+  const magnitude = value === 0 ? 0 : Math.floor(Math.log10(Math.abs(value)));
+  const useExponent = value !== 0 && (magnitude < -3 || magnitude >= 6);
+
+  if (!(uncertainty > 0) || !Number.isFinite(uncertainty)) {
+    if (useExponent) return localizeDecimal(value.toExponential(sigFigs - 1));
+    return localizeDecimal(value.toFixed(Math.max(0, sigFigs - 1 - magnitude)));
+  }
+
+  const uncertaintyMagnitude = Math.floor(Math.log10(uncertainty));
+  if (useExponent) {
+    const digits = Math.max(1, magnitude - uncertaintyMagnitude + 1);
+    return localizeDecimal(`${value.toExponential(digits)} ± ${uncertainty.toExponential(1)}`);
+  }
+
+  const decimals = 1 - uncertaintyMagnitude;
+  if (decimals >= 0) {
+    return localizeDecimal(`${value.toFixed(decimals)} ± ${uncertainty.toFixed(decimals)}`);
+  }
+  const step = Math.pow(10, -decimals);
+  return `${Math.round(value / step) * step} ± ${Math.round(uncertainty / step) * step}`;
+}
+
+/**
+ * Parse user input that may carry an uncertainty: "46", "46 ± 2", "46 +/- 2", "46 ±10%".
+ * Numbers may use the locale's decimal separator ("46,5 ± 0,5"), see parseLocaleNumber.
+ *
+ * @param {string} text - Input text
+ * @returns {{ value: number, uncertainty: number }|null} null if the text is not a number
+ *
+ * @example
+ * parseMeasurement("46 ±10%")   // { value: 46, uncertainty: 4.6 }
+ */
+function parseMeasurement(text) {
+  const match = String(text).trim().match(/^([^±]+?)\s*(?:(?:±|\+\/-|\+-)\s*([^%]+?)\s*(%)?)?$/);
+  if (!match) return null;
+
+  const value = parseLocaleNumber(match[1]);
+  if (!Number.isFinite(value)) return null;
+  if (match[2] === undefined) return { value, uncertainty: 0 };
+
+  const spread = parseLocaleNumber(match[2]);
+  if (!Number.isFinite(spread) || spread < 0) return null;
+  return { value, uncertainty: match[3] ? Math.abs(value) * spread / 100 : spread };
+}
+
+// ========== QUANTITY ==========
+
+/**
+ * Wrap a compound unit in parentheses so it can be combined safely
+ * @private
+ * @param {string} unit - Unit expression
+ * @returns {string} Unit, parenthesised if it contains an operator
+ */
+function groupUnit(unit) {
+  return /[*/^·]/.test(unit) ? `(${unit})` : unit;
+}
+
+/**
+ * Render a unit expression with typographic symbols, e.g. "kg/m^3" → "kg/m³", "N*m" → "N·m".
+ *
+ * @param {string} unit - Unit expression
+ * @returns {string} Display string
+ */
+function formatUnitSymbol(unit) {
+  const superscript = { "-": "⁻", "1": "¹", "2": "²", "3": "³", "4": "⁴", "5": "⁵", "6": "⁶", "7": "⁷", "8": "⁸", "9": "⁹", "0": "⁰" };
+  return unit
+    .replace(/\^(-?\d+)/g, (_, exp) => exp.split("").map(c => superscript[c]).join(""))
+    .replace(/\*/g, "·")
+    .replace(/^([CFR])$/, "°$1")
+    .replace(/^Δ([CFR])$/, "Δ°$1");
+}
+
+/**
+ * A value that carries its unit and, optionally, a ± uncertainty.
+ * Arithmetic checks dimensions through convertUnit / parseUnitExpression, so
+ * adding a pressure to a flow throws instead of silently producing a number.
+ * Uncertainties of independent quantities combine in quadrature: absolute for
+ * add/subtract, relative for multiply/divide/pow. Plain numbers are exact.
+ *
+ * @example
+ * const D = new Quantity(25, "mm");
+ * const Q = new Quantity(60, "L/min");
+ * const A = D.divide(2).pow(2).multiply(Math.PI);
+ * Q.divide(A).to("m/s").value   // 2.037
+ * new Quantity(2, "bar").add(new Quantity(10, "psi")).format() // "2.689 bar"
+ * Quantity.withTolerance(46, "cSt", 10).to("SUS").format()    // "214 ± 21 SUS"
+ */
+class Quantity {
+  /**
+   * @param {number} value - Numeric value
+   * @param {string} unit - Unit expression (any unit convertUnit accepts; "1" for dimensionless)
+   * @param {number} [uncertainty=0] - ± uncertainty in the same unit
+   */
+  constructor(value, unit, uncertainty = 0) {
+    if (typeof value !== "number") {
+      throw new Error(`Quantity value must be a number, got ${typeof value}`);
+    }
+    if (typeof uncertainty !== "number" || uncertainty < 0) {
+      throw new Error(`Quantity uncertainty must be a non-negative number, got ${uncertainty}`);
+    }
+    this.value = value;
+    this.unit = normalizeUnit(unit);
+    this.uncertainty = uncertainty;
+  }
+
+  /**
+   * Create a quantity with a percentage tolerance, e.g. ISO VG grades (±10%).
+   * @param {number} value - Nominal value
+   * @param {string} unit - Unit expression
+   * @param {number} percent - Tolerance in percent of the value
+   * @returns {Quantity} Quantity with uncertainty = |value| × percent / 100
+   */
+  static withTolerance(value, unit, percent) {
+    return new Quantity(value, unit, Math.abs(value * percent) / 100);
+  }
+
+  /**
+   * Relative uncertainty (uncertainty / |value|); 0 for exact or zero values.
+   * @returns {number} Fraction, e.g. 0.1 for ±10%
+   */
+  get relativeUncertainty() {
+    return this.value === 0 ? 0 : this.uncertainty / Math.abs(this.value);
+  }
+
+  /**
+   * Express this quantity in another unit.
+   * @param {string} unit - Target unit
+   * @param {Object} [options] - convertUnit options (density, fluid, atmosphere, ...)
+   * @returns {Quantity} New quantity in the target unit
+   * @throws {Error} If the units are incompatible
+   */
+  to(unit, options) {
+    const converted = convertUnitWithUncertainty(this.unit, unit, this.value, this.uncertainty, options);
+    return new Quantity(converted.value, unit, converted.uncertainty);
+  }
+
+  /**
+   * Check whether this quantity can be expressed in a given unit.
+   * @param {string} unit - Unit to test
+   * @returns {boolean} True if to(unit) would succeed without extra options
+   */
+  isCompatible(unit) {
+    try {
+      convertUnit(this.unit, unit, 1);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Add another quantity (result keeps this quantity's unit).
+   * An absolute temperature plus a temperature difference stays absolute.
+   * @param {Quantity} other - Quantity of the same dimension
+   * @returns {Quantity} Sum
+   * @throws {Error} If the dimensions differ
+   */
+  add(other) {
+    const aligned = this._aligned(other);
+    return new Quantity(this.value + aligned.value, this.unit, Math.hypot(this.uncertainty, aligned.uncertainty));
+  }
+
+  /**
+   * Subtract another quantity (result keeps this quantity's unit).
+   * Two absolute temperatures give a temperature difference, e.g. °C − °C → ΔC.
+   * @param {Quantity} other - Quantity of the same dimension
+   * @returns {Quantity} Difference
+   * @throws {Error} If the dimensions differ
+   */
+  subtract(other) {
+    const aligned = this._aligned(other);
+    const unit = temperatureUnits.includes(this.unit) && temperatureUnits.includes(other.unit)
+      ? "Δ" + this.unit
+      : this.unit;
+    return new Quantity(this.value - aligned.value, unit, Math.hypot(this.uncertainty, aligned.uncertainty));
+  }
+
+  /**
+   * Multiply by a plain number or another quantity.
+   * @param {number|Quantity} other - Scale factor or quantity
+   * @returns {Quantity} Product, with a compound unit for quantity × quantity
+   */
+  multiply(other) {
+    if (typeof other === "number") {
+      return new Quantity(this.value * other, this.unit, this.uncertainty * Math.abs(other));
+    }
+    const value = this.value * other.value;
+    return new Quantity(value, `${groupUnit(this.unit)}*${groupUnit(other.unit)}`,
+      Math.abs(value) * Math.hypot(this.relativeUncertainty, other.relativeUncertainty));
+  }
+
+  /**
+   * Divide by a plain number or another quantity.
+   * @param {number|Quantity} other - Divisor
+   * @returns {Quantity} Quotient, with a compound unit for quantity ÷ quantity
+   */
+  divide(other) {
+    if (typeof other === "number") {
+      return new Quantity(this.value / other, this.unit, this.uncertainty / Math.abs(other));
+    }
+    const value = this.value / other.value;
+    return new Quantity(value, `${groupUnit(this.unit)}/${groupUnit(other.unit)}`,
+      Math.abs(value) * Math.hypot(this.relativeUncertainty, other.relativeUncertainty));
+  }
+
+  /**
+   * Raise to a power (integer or fractional, e.g. 0.5 for a square root).
+   * @param {number} exponent - Power
+   * @returns {Quantity} Result with the unit raised to the same power
+   */
+  pow(exponent) {
+    const value = Math.pow(this.value, exponent);
+    return new Quantity(value, `${groupUnit(this.unit)}^${exponent}`,
+      Math.abs(value * exponent) * this.relativeUncertainty);
+  }
+
+  /**
+   * Dimension vector over BASE_DIMENSIONS (mass, length, time, temperature, angle).
+   * @returns {number[]} Exponents
+   */
+  get dimensions() {
+    if (temperatureUnits.includes(this.unit)) return [0, 0, 0, 1, 0];
+    return parseUnitExpression(this.unit).dimensions;
+  }
+
+  /**
+   * Format for display, e.g. "45.9 ± 4.6 mm²/s" or "2.037 m/s".
+   * @param {number} [decimals] - Fixed digits after the decimal point; omit for significant figures
+   * @returns {string} Value (± uncertainty) and unit symbol, or "N/A" for non-finite values
+   */
+  format(decimals) {
+    if (!Number.isFinite(this.value)) return "N/A";
+    const unit = this.unit === "1" ? "" : ` ${formatUnitSymbol(this.unit)}`;
+    if (decimals === undefined) {
+      return formatSignificant(this.value, this.uncertainty) + unit;
+    }
+    const spread = this.uncertainty > 0 ? ` ± ${formatLocaleNumber(this.uncertainty, decimals)}` : "";
+    return `${formatLocaleNumber(this.value, decimals)}${spread}${unit}`;
+  }
+
+  toString() {
+    return this.format();
+  }
+
+  /**
+   * Value and uncertainty of another quantity expressed in this quantity's unit, for add/subtract.
+   * @private
+   */
+  _aligned(other) {
+    if (!(other instanceof Quantity)) {
+      throw new Error("Only a Quantity can be added to or subtracted from a Quantity");
+    }
+    const unit = temperatureUnits.includes(this.unit) && other.unit.startsWith("Δ")
+      ? "Δ" + this.unit
+      : this.unit;
+    return convertUnitWithUncertainty(other.unit, unit, other.value, other.uncertainty);
+  }
+}
+
+// ========== CUSTOM UNITS ==========
+
+/**
+ * Read a stored value from localStorage, ignoring unavailable storage.
+ * @private
+ */
+function readStorage(key) {
+  try {
+    return typeof localStorage === "undefined" ? null : localStorage.getItem(key);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a value to localStorage, ignoring unavailable storage.
+ * @private
+ */
+function writeStorage(key, value) {
+  try {
+    if (typeof localStorage !== "undefined") localStorage.setItem(key, value);
+  } catch (error) {
+    console.warn(`Could not save "${key}": ${error.message}`);
+  }
+}
+
+/** localStorage key holding the user's custom unit definitions */
+const CUSTOM_UNITS_STORAGE_KEY = "simdev.customUnits";
+
+/**
+ * User-defined units: name → { amount, unit, displayName, unitType }.
+ * "1 name = amount unit"; unitType is the unitTypeRegistry key the unit was added to.
+ */
+const customUnits = {};
+
+/**
+ * Find the factor table a reference unit belongs to.
+ * Exact table membership wins (so "lbf*ft" stays torque, not energy); otherwise the
+ * first table whose units share the reference unit's dimensions is used.
+ * @private
+ * @param {string} unit - Reference unit expression
+ * @returns {{ unitType: string, factor: number }} Table key and SI factor of the reference unit
+ * @throws {Error} If no linear category matches
+ */
+function resolveCustomUnitBase(unit) {
+  for (const [unitType, table] of Object.entries(unitTypeRegistry)) {
+    if (unit in table) return { unitType, factor: table[unit] };
+  }
+
+  for (const [unitType, table] of Object.entries(unitTypeRegistry)) {
+    const refUnit = Object.keys(table).find(u => table[u] === 1);
+    if (refUnit && areUnitsCompatible(unit, refUnit)) {
+      return { unitType, factor: convertUnit(unit, refUnit, 1) };
+    }
+  }
+
+  throw new Error(`Cannot define a custom unit in terms of "${unit}": no linear unit category matches`);
+}
+
+/**
+ * Check whether a name already means something to convertUnit: a table or special-case
+ * unit, or any symbol the expression parser resolves, SI-prefixed ones ("mbar", "kW") included.
+ * @private
+ * @param {string} name - Candidate custom unit name
+ * @returns {boolean} True if defining the name would shadow a built-in unit
+ */
+function isBuiltInUnitName(name) {
+  const normalized = normalizeUnit(name);
+  if (normalized !== name || name in unitDisplayNames || name in viscosityScales ||
+      name in pressureReferenceUnits || temperatureUnits.includes(name) ||
+      Object.values(unitTypeRegistry).some(table => name in table)) {
+    return true;
+  }
+  try {
+    parseUnitExpression(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Write the current custom unit definitions to localStorage.
+ * @private
+ */
+function saveCustomUnits() {
+  writeStorage(CUSTOM_UNITS_STORAGE_KEY, exportCustomUnits());
+}
+
+/**
+ * Define (or redefine) a custom unit as "1 name = amount unit" and register it in
+ * its category, so it appears in getAvailableUnits() and every unit select.
+ *
+ * @param {string} name - New unit symbol, e.g. "igph"
+ * @param {number} amount - How many reference units one custom unit equals
+ * @param {string} unit - Reference unit or expression, e.g. "L/min" or "gal(UK)/h"
+ * @param {string} [displayName] - Label for unit selects (defaults to name)
+ * @param {boolean} [persist=true] - Save to localStorage
+ * @returns {string} unitType key the unit was registered under
+ * @throws {Error} If the name clashes with a built-in unit or the reference unit is unusable
+ *
+ * @example
+ * defineCustomUnit("myUnit", 3.5, "L/min")   // "flow"
+ * convertUnit("myUnit", "L/min", 2)           // 7
+ */
+function defineCustomUnit(name, amount, unit, displayName, persist = true) {
+  if (!name || typeof name !== "string" || /[\s*/^()]/.test(name)) {
+    throw new Error("Custom unit name must be a non-empty string without spaces or operators");
+  }
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw new Error(`Custom unit amount must be a positive number, got ${amount}`);
+  }
+  if (!(name in customUnits) && isBuiltInUnitName(name)) {
+    throw new Error(`"${name}" is already a built-in unit`);
+  }
+
+  if (name in customUnits) removeCustomUnit(name, false);
+
+  const base = resolveCustomUnitBase(normalizeUnit(unit));
+  const factor = amount * base.factor;
+  const refUnit = Object.keys(unitTypeRegistry[base.unitType]).find(u => unitTypeRegistry[base.unitType][u] === 1);
+
+  // The category table is relative to its 1-unit; the parser needs the factor to SI
+  const ref = parseUnitExpression(refUnit);
+  unitTypeRegistry[base.unitType][name] = factor;
+  unitDisplayNames[name] = displayName || name;
+  unitSymbols[name] = { factor: factor * ref.factor, dims: ref.dimensions };
+  customUnits[name] = { amount, unit, displayName: displayName || name, unitType: base.unitType };
+
+  if (persist) saveCustomUnits();
+  return base.unitType;
+}
+
+/**
+ * Remove a custom unit from its category and from storage.
+ *
+ * @param {string} name - Custom unit symbol
+ * @param {boolean} [persist=true] - Save to localStorage
+ */
+function removeCustomUnit(name, persist = true) {
+  const def = customUnits[name];
+  if (!def) return;
+  delete unitTypeRegistry[def.unitType][name];
+  delete unitDisplayNames[name];
+  delete unitSymbols[name];
+  delete customUnits[name];
+  if (persist) saveCustomUnits();
+}
+
+/**
+ * List the current custom units.
+ *
+ * @returns {{ name: string, amount: number, unit: string, displayName: string, unitType: string }[]}
+ */
+function getCustomUnits() {
+  return Object.entries(customUnits).map(([name, def]) => ({ name, ...def }));
+}
+
+/**
+ * Serialize the custom units as JSON (the same format importCustomUnits accepts).
+ *
+ * @returns {string} JSON array of { name, amount, unit, displayName }
+ */
+function exportCustomUnits() {
+  return JSON.stringify(
+    getCustomUnits().map(({ name, amount, unit, displayName }) => ({ name, amount, unit, displayName })),
+    null, 2
+  );
+}
+
+/**
+ * Import custom units from JSON, adding to (or replacing same-named) existing ones.
+ * Invalid entries are skipped with a warning.
+ *
+ * @param {string} json - JSON array of { name, amount, unit, displayName }
+ * @returns {number} Number of units imported
+ * @throws {Error} If the text is not a JSON array
+ */
+function importCustomUnits(json) {
+  const defs = JSON.parse(json);
+  if (!Array.isArray(defs)) {
+    throw new Error("Custom unit file must contain a JSON array");
+  }
+
+  let count = 0;
+  defs.forEach(def => {
+    try {
+      defineCustomUnit(def.name, Number(def.amount), def.unit, def.displayName, false);
+      count++;
+    } catch (error) {
+      console.warn(`Skipped custom unit "${def && def.name}": ${error.message}`);
+    }
+  });
+
+  saveCustomUnits();
+  return count;
+}
+
+/**
+ * Register the custom units saved in localStorage (runs once when this script loads).
+ * @private
+ */
+function loadCustomUnits() {
+  try {
+    const saved = readStorage(CUSTOM_UNITS_STORAGE_KEY);
+    if (!saved) return;
+    JSON.parse(saved).forEach(def => {
+      try {
+        defineCustomUnit(def.name, Number(def.amount), def.unit, def.displayName, false);
+      } catch (error) {
+        console.warn(`Skipped saved custom unit "${def && def.name}": ${error.message}`);
+      }
+    });
+  } catch (error) {
+    console.warn(`Could not load custom units: ${error.message}`);
+  }
+}
+
+loadCustomUnits();
+
+// ========== UNIT SYSTEM PREFERENCE ==========
+
+/** localStorage keys for the site-wide unit system and the user's custom system */
+const UNIT_SYSTEM_STORAGE_KEY = "simdev.unitSystem";
+const CUSTOM_SYSTEM_STORAGE_KEY = "simdev.customUnitSystem";
+
+/**
+ * Units belonging to each system, keyed by normalized unit type.
+ * The first unit is preferred; a page default already in the list is kept
+ * (so a metric page asking for mm stays in mm under SI).
+ * Types not listed (angle, time) keep the page default.
+ */
+const unitSystems = {
+  SI: {
+    length: ["m", "mm", "cm"],
+    area: ["m^2", "cm^2", "mm^2"],
+    temperature: ["C", "K"],
+    temperaturedifference: ["ΔK", "ΔC"],
+    density: ["kg/m^3", "g/cm^3"],
+    kinematicviscosity: ["mm^2/s", "cSt", "m^2/s"],
+    dynamicviscosity: ["Pa*s", "mPa*s"],
+    volume: ["m^3", "L", "mL"],
+    flow: ["L/min", "L/s", "m^3/s"],
+    massflow: ["kg/s", "kg/min", "kg/h", "g/s", "t/h"],
+    pressure: ["bar", "Pa", "kPa", "MPa", "GPa"],
+    gaugepressure: ["barg", "bara", "kPa(g)", "kPa(a)", "MPa(g)", "MPa(a)"],
+    force: ["N", "kN"],
+    velocity: ["m/s", "cm/s", "mm/s", "km/h"],
+    power: ["kW", "W", "MW"],
+    mass: ["kg", "g", "t"],
+    energy: ["kJ", "J", "MJ", "Wh", "kWh"],
+    torque: ["N*m", "kN*m", "N*cm"],
+    displacement: ["cm^3/rev", "cc/rev", "L/rev"],
+    heattransfer: ["W/(m^2*ΔK)", "kW/(m^2*ΔK)"]
+  },
+  Imperial: {
+    length: ["in", "ft"],
+    area: ["in^2", "ft^2"],
+    temperature: ["F", "R"],
+    temperaturedifference: ["ΔF", "ΔR"],
+    density: ["lb/ft^3"],
+    kinematicviscosity: ["cSt", "SUS"],
+    dynamicviscosity: ["cP"],
+    volume: ["gal(US)", "in^3", "ft^3", "gal(UK)"],
+    flow: ["gpm", "gal/h", "ft^3/s"],
+    massflow: ["lb/min", "lb/s", "lb/h"],
+    pressure: ["psi"],
+    gaugepressure: ["psig", "psia"],
+    force: ["lbf"],
+    velocity: ["ft/s", "ft/min", "in/s"],
+    power: ["hp", "BTU/h", "ft*lbf/s"],
+    mass: ["lb", "oz"],
+    energy: ["BTU", "ft*lbf"],
+    torque: ["lbf*ft", "lbf*in"],
+    displacement: ["in^3/rev"],
+    heattransfer: ["BTU/(h*ft^2*ΔF)"]
+  }
+};
+
+/** Selectable systems; "default" keeps each page's own defaults */
+const UNIT_SYSTEM_NAMES = ["default", "SI", "Imperial", "custom"];
+
+let currentUnitSystem = UNIT_SYSTEM_NAMES.includes(readStorage(UNIT_SYSTEM_STORAGE_KEY))
+  ? readStorage(UNIT_SYSTEM_STORAGE_KEY)
+  : "default";
+
+/** Custom system: normalized unit type → preferred unit */
+let customUnitSystem = {};
+try {
+  customUnitSystem = JSON.parse(readStorage(CUSTOM_SYSTEM_STORAGE_KEY)) || {};
+} catch (error) {
+  console.warn(`Could not load the custom unit system: ${error.message}`);
+}
+
+/**
+ * Get the site-wide unit system preference.
+ *
+ * @returns {string} "default", "SI", "Imperial" or "custom"
+ */
+function getUnitSystem() {
+  return currentUnitSystem;
+}
+
+/**
+ * Set and persist the site-wide unit system preference.
+ *
+ * @param {string} name - "default", "SI", "Imperial" or "custom"
+ * @throws {Error} If the name is not a known system
+ */
+function setUnitSystem(name) {
+  if (!UNIT_SYSTEM_NAMES.includes(name)) {
+    throw new Error(`Unknown unit system "${name}". Available systems: ${UNIT_SYSTEM_NAMES.join(", ")}`);
+  }
+  currentUnitSystem = name;
+  writeStorage(UNIT_SYSTEM_STORAGE_KEY, name);
+}
+
+/**
+ * Set (or clear, with a null unit) the custom system's unit for one unit type.
+ *
+ * @param {string} unitType - e.g. "flow", "dynamic viscosity"
+ * @param {string|null} unit - Preferred unit, or null to fall back to page defaults
+ * @throws {Error} If the unit does not belong to the unit type
+ */
+function setCustomSystemUnit(unitType, unit) {
+  const type = normalizeUnitType(unitType);
+  if (unit === null) {
+    delete customUnitSystem[type];
+  } else if (!getAvailableUnits(unitType).includes(unit)) {
+    throw new Error(`"${unit}" is not a ${unitType} unit`);
+  } else {
+    customUnitSystem[type] = unit;
+  }
+  writeStorage(CUSTOM_SYSTEM_STORAGE_KEY, JSON.stringify(customUnitSystem));
+}
+
+/**
+ * Get the custom system's unit choices.
+ *
+ * @returns {Object<string, string>} Normalized unit type → unit
+ */
+function getCustomSystemUnits() {
+  return { ...customUnitSystem };
+}
+
+/**
+ * Resolve the unit a unit select should start on, honoring the unit system preference.
+ * Every populateUnitSelect / fillUnitSelect goes through this.
+ *
+ * @param {string} unitType - e.g. "length", "dynamic viscosity"
+ * @param {string} defaultUnit - The page's own default
+ * @returns {string} Preferred unit, or defaultUnit when the system has no opinion
+ *
+ * @example
+ * setUnitSystem("Imperial");
+ * getPreferredUnit("flow", "L/min")   // "gpm"
+ * getPreferredUnit("angle", "deg")    // "deg"
+ */
+function getPreferredUnit(unitType, defaultUnit) {
+  const type = normalizeUnitType(unitType);
+  let available;
+  try {
+    available = getAvailableUnits(unitType);
+  } catch (error) {
+    return defaultUnit;
+  }
+
+  if (currentUnitSystem === "custom") {
+    const unit = customUnitSystem[type];
+    return unit && available.includes(unit) ? unit : defaultUnit;
   }
 
-  // No matching conversion found
-  throw new Error(`Unsupported conversion from "${originalUnit}" to "${newUnit}"`);
+  const systemUnits = unitSystems[currentUnitSystem] && unitSystems[currentUnitSystem][type];
+  if (!systemUnits || systemUnits.includes(defaultUnit)) return defaultUnit;
+  return systemUnits.find(u => available.includes(u)) || defaultUnit;
 }
 
 // ========== BROWSER EXPORTS ==========
@@ -445,6 +2322,38 @@ if (typeof window !== "undefined") {
   window.getFromDefault = getFromDefault;
   window.getToDefault = getToDefault;
   window.isValidUnit = isValidUnit;
+  window.parseUnitExpression = parseUnitExpression;
+  window.areUnitsCompatible = areUnitsCompatible;
+  window.setAtmosphericPressure = setAtmosphericPressure;
+  window.setAtmosphericPressureFromAltitude = setAtmosphericPressureFromAltitude;
+  window.getAtmosphericPressure = getAtmosphericPressure;
+  window.altitudeToAtmosphericPressure = altitudeToAtmosphericPressure;
+  window.formatUnitSymbol = formatUnitSymbol;
+  window.Quantity = Quantity;
+  window.convertUnitWithUncertainty = convertUnitWithUncertainty;
+  window.formatSignificant = formatSignificant;
+  window.parseMeasurement = parseMeasurement;
+  window.getNumberLocale = getNumberLocale;
+  window.setNumberLocale = setNumberLocale;
+  window.getNumberSeparators = getNumberSeparators;
+  window.parseLocaleNumber = parseLocaleNumber;
+  window.formatLocaleNumber = formatLocaleNumber;
+  window.formatLocaleInput = formatLocaleInput;
+  window.getCsvDelimiter = getCsvDelimiter;
+  window.parseDelimitedText = parseDelimitedText;
+  window.splitBatchHeader = splitBatchHeader;
+  window.convertBatchRows = convertBatchRows;
+  window.formatBatchText = formatBatchText;
+  window.defineCustomUnit = defineCustomUnit;
+  window.removeCustomUnit = removeCustomUnit;
+  window.getCustomUnits = getCustomUnits;
+  window.exportCustomUnits = exportCustomUnits;
+  window.importCustomUnits = importCustomUnits;
+  window.getUnitSystem = getUnitSystem;
+  window.setUnitSystem = setUnitSystem;
+  window.setCustomSystemUnit = setCustomSystemUnit;
+  window.getCustomSystemUnits = getCustomSystemUnits;
+  window.getPreferredUnit = getPreferredUnit;
 }
 
 // ========== NODE.JS EXPORTS ==========
@@ -457,6 +2366,38 @@ if (typeof module !== "undefined" && module.exports) {
     getFromDefault,
     getToDefault,
     isValidUnit,
+    parseUnitExpression,
+    areUnitsCompatible,
+    setAtmosphericPressure,
+    setAtmosphericPressureFromAltitude,
+    getAtmosphericPressure,
+    altitudeToAtmosphericPressure,
+    formatUnitSymbol,
+    Quantity,
+    convertUnitWithUncertainty,
+    formatSignificant,
+    parseMeasurement,
+    getNumberLocale,
+    setNumberLocale,
+    getNumberSeparators,
+    parseLocaleNumber,
+    formatLocaleNumber,
+    formatLocaleInput,
+    getCsvDelimiter,
+    parseDelimitedText,
+    splitBatchHeader,
+    convertBatchRows,
+    formatBatchText,
+    defineCustomUnit,
+    removeCustomUnit,
+    getCustomUnits,
+    exportCustomUnits,
+    importCustomUnits,
+    getUnitSystem,
+    setUnitSystem,
+    setCustomSystemUnit,
+    getCustomSystemUnits,
+    getPreferredUnit,
     // Export constants for testing
     lengthFactors,
     areaFactors,
@@ -465,8 +2406,22 @@ if (typeof module !== "undefined" && module.exports) {
     dynViscFactors,
     volumeFactors,
     flowFactors,
+    massFlowFactors,
     pressureFactors,
+    pressureReferenceUnits,
     forceFactors,
-    temperatureUnits
+    velocityFactors,
+    powerFactors,
+    massFactors,
+    energyFactors,
+    torqueFactors,
+    angleFactors,
+    timeFactors,
+    rotationalSpeedFactors,
+    displacementFactors,
+    heatTransferFactors,
+    temperatureUnits,
+    temperatureDifferenceFactors,
+    viscosityScales
   };
 }
@@ -0,0 +1,359 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { loadScripts, assertClose } from "./load_scripts.js";
+
+const calc = loadScripts("unit_converter.js", "oil_properties/getOilProperties.js", "calculators.js");
+const { Quantity } = calc;
+
+describe("cross sections", () => {
+  const mm = value => new Quantity(value, "mm");
+
+  test("Dh = 4A/P: D for a circle, 2wh/(w+h) for a slot, Do − Di for an annulus", () => {
+    assertClose(calc.crossSection("circle", { diameter: mm(12) }).hydraulicDiameter.to("mm").value, 12);
+    const slot = calc.crossSection("rectangle", { width: mm(20), height: mm(5) });
+    assertClose(slot.area.to("mm^2").value, 100);
+    assertClose(slot.perimeter.to("mm").value, 50);
+    assertClose(slot.hydraulicDiameter.to("mm").value, 8);
+    assertClose(calc.crossSection("annulus", { outer: mm(50), inner: mm(30) }).hydraulicDiameter.to("mm").value, 20);
+  });
+
+  test("rejects closed or unknown sections", () => {
+    assert.equal(calc.crossSection("annulus", { outer: mm(30), inner: mm(30) }), null);
+    assert.equal(calc.crossSection("rectangle", { width: mm(0), height: mm(5) }), null);
+    assert.throws(() => calc.crossSection("hexagon", {}), /Unknown cross-section shape/);
+  });
+});
+
+describe("pipe pressure drop", () => {
+  const line = {
+    length: new Quantity(10, "m"),
+    diameter: new Quantity(20, "mm"),
+    roughness: new Quantity(0.0015, "mm"),
+    flow: new Quantity(30, "L/min"),
+    density: new Quantity(870, "kg/m^3"),
+    dynamicViscosity: new Quantity(0.04, "Pa*s")
+  };
+
+  test("matches Hagen–Poiseuille in laminar flow", () => {
+    const result = calc.pipePressureDrop(line);
+    const Q = 30e-3 / 60;
+    const expected = 128 * 0.04 * 10 * Q / (Math.PI * Math.pow(0.02, 4));
+    assertClose(result.reynolds.value, 870 * (Q / (Math.PI * 0.0001)) * 0.02 / 0.04);
+    assertClose(result.pressureDrop.value, expected);
+    assertClose(result.headLoss.value, expected / (870 * 9.80665));
+  });
+
+  test("head loss does not carry the density uncertainty when f is constant", () => {
+    const result = calc.pipePressureDrop({
+      ...line,
+      roughness: new Quantity(2, "mm"),
+      flow: new Quantity(600, "L/min"),
+      density: new Quantity(870, "kg/m^3", 43.5),
+      dynamicViscosity: new Quantity(0.001, "Pa*s")
+    });
+    assert.ok(result.headLoss.relativeUncertainty < 0.005);
+    assertClose(result.pressureDrop.relativeUncertainty, 0.05, 0.05);
+  });
+});
+
+describe("line with fittings", () => {
+  const bore = { diameter: new Quantity(20, "mm"), roughness: new Quantity(0.0015, "mm") };
+  const elbow = { name: "90° elbow", k: 0.75, lengthRatio: 30 };
+  const line = [
+    { kind: "segment", length: new Quantity(10, "m"), ...bore },
+    { kind: "fitting", fitting: elbow, count: 2, ...bore }
+  ];
+  const conditions = { flow: new Quantity(30, "L/min"), density: new Quantity(870, "kg/m^3"), dynamicViscosity: new Quantity(0.04, "Pa*s") };
+
+  test("adds K·ρV²/2 per fitting to the straight-pipe loss", () => {
+    const result = calc.linePressureDrop(line, conditions);
+    const V = 30e-3 / 60 / (Math.PI * 0.0001);
+    const straight = calc.pipePressureDrop({ ...line[0], ...conditions }).pressureDrop.value;
+    assertClose(result.items[1].pressureDrop.value, 2 * 0.75 * 870 * V * V / 2);
+    assertClose(result.pressureDrop.value, straight + 2 * 0.75 * 870 * V * V / 2);
+  });
+
+  test("equivalent lengths add L/D·D of pipe per fitting", () => {
+    const result = calc.linePressureDrop(line, { ...conditions, fittingModel: "length" });
+    const Q = 30e-3 / 60;
+    const length = 10 + 2 * 30 * 0.02;
+    assertClose(result.pressureDrop.value, 128 * 0.04 * length * Q / (Math.PI * Math.pow(0.02, 4)));
+  });
+});
+
+describe("line sizing", () => {
+  const flow = new Quantity(60, "L/min");
+  const bores = ids => ids.map(id => ({ name: `${id} mm`, id }));
+
+  test("grades a velocity against the line type's limits", () => {
+    assert.equal(calc.checkLineVelocity(new Quantity(1, "m/s"), "suction"), "ok");
+    assert.equal(calc.checkLineVelocity(new Quantity(1, "m/s"), "pressure"), "low");
+    assert.equal(calc.checkLineVelocity(new Quantity(5, "m/s"), "return"), "high");
+  });
+
+  test("recommends the smallest bore within the limits", () => {
+    const result = calc.recommendLineSize(flow, "pressure", bores([12, 15, 16]));
+    assert.equal(result.size.id, 15);
+    assert.ok(result.compliant);
+    assertClose(result.velocity.value, 1e-3 / (Math.PI * 0.015 ** 2 / 4));
+  });
+
+  test("falls back to the smallest bore that is not too fast", () => {
+    const result = calc.recommendLineSize(flow, "pressure", bores([12, 30]));
+    assert.equal(result.size.id, 30);
+    assert.equal(result.compliant, false);
+    assert.equal(calc.recommendLineSize(flow, "pressure", bores([8])), null);
+  });
+});
+
+describe("Reynolds temperature sweep", () => {
+  const fluid = "Shell Tellus S2 MX 46";
+
+  test("computes Re = ρVD/μ from the fluid data at each temperature", async () => {
+    await calc.OilProps.loadFluidData();
+    const points = calc.reynoldsTemperatureSweep(fluid, new Quantity(4, "m/s"), new Quantity(16, "mm"), 20, 80, "C");
+    assert.equal(points.length, 61);
+    const at = tK => calc.OilProps.getDensityAtTemp(fluid, tK) * 4 * 0.016 / calc.OilProps.getDynViscAtTemp(fluid, tK);
+    assertClose(points[0].y, at(293.15));
+    assertClose(points[60].x, 80);
+    assertClose(points[60].y, at(353.15));
+    assert.ok(points[60].y > points[0].y);
+  });
+
+  test("interpolates the temperatures where Re crosses a threshold", () => {
+    const findReynoldsCrossings = vm.runInContext("findReynoldsCrossings", calc);
+    const points = [{ x: 0, y: 1000 }, { x: 10, y: 3000 }, { x: 20, y: 1000 }];
+    const crossings = findReynoldsCrossings(points, 2000);
+    assert.equal(crossings.length, 2);
+    assertClose(crossings[0], 5);
+    assertClose(crossings[1], 15);
+  });
+});
+
+describe("cylinder", () => {
+  const cylinder = { bore: new Quantity(100, "mm"), rod: new Quantity(56, "mm") };
+  const [boreArea, rodArea] = [0.1, 0.056].map(d => Math.PI * d * d / 4);
+
+  test("F = p·A on the bore, annulus and rod", () => {
+    const result = calc.cylinderPerformance({ ...cylinder, pressure: new Quantity(200, "bar") });
+    assertClose(result.extendForce.value, 200e5 * boreArea);
+    assertClose(result.extendForce.to("kN").value, 157.08, 1e-4);
+    assertClose(result.retractForce.value, 200e5 * (boreArea - rodArea));
+    assertClose(result.regenForce.value, 200e5 * rodArea);
+    assertClose(result.areaRatio.value, 1 / (1 - 0.56 ** 2));
+    assert.equal(result.extendSpeed, undefined);
+  });
+
+  test("v = Q/A, fastest in regeneration", () => {
+    const result = calc.cylinderPerformance({ ...cylinder, flow: new Quantity(60, "L/min") });
+    assertClose(result.extendSpeed.value, 1e-3 / boreArea);
+    assertClose(result.retractSpeed.value, 1e-3 / (boreArea - rodArea));
+    assertClose(result.regenSpeed.value, 1e-3 / rodArea);
+    assert.equal(result.extendForce, undefined);
+  });
+});
+
+describe("pump / motor", () => {
+  const unit = {
+    displacement: new Quantity(45, "cm^3/rev"),
+    speed: new Quantity(1500, "rpm"),
+    pressure: new Quantity(200, "bar"),
+    volumetricEfficiency: new Quantity(0.95, "1"),
+    mechanicalEfficiency: new Quantity(0.92, "1")
+  };
+
+  test("pump: Q = Vg·n·ηv, T = Vg·Δp / (2π·ηm)", () => {
+    const result = calc.pumpMotorPerformance({ ...unit, mode: "pump" });
+    assertClose(result.flow.to("L/min").value, 45e-3 * 1500 * 0.95);
+    assertClose(result.torque.value, 45e-6 * 200e5 / (2 * Math.PI * 0.92));
+    assertClose(result.outputPower.value, 45e-6 * 25 * 0.95 * 200e5);
+    assertClose(result.inputPower.value, result.outputPower.value / (0.95 * 0.92));
+  });
+
+  test("motor: Q = Vg·n / ηv, T = Vg·Δp·ηm / 2π", () => {
+    const result = calc.pumpMotorPerformance({ ...unit, mode: "motor" });
+    assertClose(result.flow.to("L/min").value, 45e-3 * 1500 / 0.95);
+    assertClose(result.torque.value, 45e-6 * 200e5 * 0.92 / (2 * Math.PI));
+    assertClose(result.totalEfficiency.value, 0.95 * 0.92);
+  });
+});
+
+describe("tank heat balance", () => {
+  const tank = {
+    heatLoad: new Quantity(5.5, "kW"),
+    width: new Quantity(1, "m"),
+    length: new Quantity(1.2, "m"),
+    height: new Quantity(0.8, "m"),
+    oilVolume: new Quantity(600, "L"),
+    coefficient: new Quantity(10, "W/(m^2*ΔK)"),
+    ambient: new Quantity(25, "C"),
+    maxTemperature: new Quantity(60, "C"),
+    density: new Quantity(870, "kg/m^3")
+  };
+
+  test("wetted area, equilibrium temperature and the cooler shortfall", () => {
+    const result = calc.tankHeatBalance(tank);
+    assertClose(result.oilLevel.value, 0.5);
+    assert.equal(result.overfilled, false);
+    assertClose(result.wettedArea.value, 3.4);
+    assertClose(result.equilibriumTemperature.to("C").value, 25 + 5500 / 34);
+    assertClose(result.dissipationAtMax.value, 34 * 35);
+    assertClose(result.coolerCapacity.value, 5500 - 34 * 35);
+    const specificHeat = vm.runInContext("OIL_SPECIFIC_HEAT", calc);
+    assertClose(result.timeConstant.value, 870 * 0.6 * specificHeat / 34);
+  });
+
+  test("caps the oil level at the tank height", () => {
+    const result = calc.tankHeatBalance({ ...tank, oilVolume: new Quantity(1200, "L"), heatLoad: new Quantity(1, "kW") });
+    assert.equal(result.overfilled, true);
+    assertClose(result.wettedArea.value, 1.2 + 4.4 * 0.8);
+    assert.equal(result.coolerCapacity.value, 0);
+  });
+});
+
+describe("accumulator sizing", () => {
+  const pressures = {
+    precharge: new Quantity(90, "barg"),
+    minPressure: new Quantity(100, "barg"),
+    maxPressure: new Quantity(200, "barg"),
+    polytropicIndex: 1.4
+  };
+  const [p0, p1, p2] = [90, 100, 200].map(p => p + 1.01325);
+
+  test("Boyle's law and the polytropic relation on absolute pressures", () => {
+    const result = calc.accumulatorSizing({ ...pressures, deliveredVolume: new Quantity(2, "L"), size: new Quantity(10, "L") });
+    const isothermal = p0 / p1 - p0 / p2;
+    const adiabatic = Math.pow(p0 / p1, 1 / 1.4) - Math.pow(p0 / p2, 1 / 1.4);
+    assertClose(result.isothermal.fraction.value, isothermal);
+    assertClose(result.adiabatic.fraction.value, adiabatic);
+    assertClose(result.isothermal.requiredSize.value, 2 / isothermal);
+    assertClose(result.adiabatic.usableVolume.value, 10 * adiabatic);
+  });
+
+  test("sizes come back in the unit of the matching input", () => {
+    const result = calc.accumulatorSizing({ ...pressures, deliveredVolume: new Quantity(0.5, "gal(US)"), size: new Quantity(10, "L") });
+    assert.equal(result.adiabatic.requiredSize.unit, "gal(US)");
+    assert.equal(result.isothermal.usableVolume.unit, "L");
+    assert.match(result.isothermal.usableVolume.format(), / L$/);
+  });
+});
+
+describe("effective bulk modulus", () => {
+  const mixture = { pressure: new Quantity(10, "barg"), oilModulus: new Quantity(1.8, "GPa"), polytropicIndex: 1.4 };
+
+  test("air-free oil keeps its own modulus", () => {
+    const result = calc.effectiveBulkModulus({ ...mixture, airFraction: new Quantity(0, "1") });
+    assertClose(result.bulkModulus.value, 1.8e9);
+    assertClose(result.volumeRatio.value, Math.exp(-10e5 / 1.8e9));
+  });
+
+  test("entrained air softens the mixture: 1/K = φ_oil/K_oil + φ_air/(n·p)", () => {
+    const result = calc.effectiveBulkModulus({ ...mixture, airFraction: new Quantity(0.01, "1") });
+    const p = 11.01325e5;
+    const oil = 0.99 * Math.exp(-(p - 101325) / 1.8e9);
+    const air = 0.01 * Math.pow(101325 / p, 1 / 1.4);
+    assertClose(result.bulkModulus.value, (oil + air) / (oil / 1.8e9 + air / (1.4 * p)));
+    assertClose(result.airFractionAtPressure.value, air / (oil + air));
+  });
+
+  test("carries the input uncertainties into K_eff", () => {
+    const exact = calc.effectiveBulkModulus({ ...mixture, airFraction: new Quantity(0.01, "1") });
+    assert.equal(exact.bulkModulus.uncertainty, 0);
+    const uncertain = calc.effectiveBulkModulus({
+      ...mixture,
+      pressure: new Quantity(10, "barg", 1),
+      airFraction: new Quantity(0.01, "1", 0.002)
+    });
+    assertClose(uncertain.bulkModulus.value, exact.bulkModulus.value);
+    assert.ok(uncertain.bulkModulus.relativeUncertainty > 0.1);
+  });
+});
+
+describe("orifice", () => {
+  const fluid = { density: new Quantity(870, "kg/m^3"), dynamicViscosity: new Quantity(0.04, "Pa*s") };
+
+  test("Cd follows δ·√Re when laminar and levels off at the turbulent value", () => {
+    assertClose(calc.orificeDischargeCoefficient(1e-4), 0.2 * Math.sqrt(1e-4), 1e-4);
+    assertClose(calc.orificeDischargeCoefficient(1e5), 0.611, 1e-6);
+    assertClose(calc.orificeDischargeCoefficient(1e5, 0.7), 0.7, 1e-6);
+  });
+
+  test("turbulent flow matches Q = Cd·A·√(2ΔP/ρ)", () => {
+    const result = calc.orificeFlow({ ...fluid, solveFor: "flow", diameter: new Quantity(1, "mm"), pressureDrop: new Quantity(50, "bar") });
+    const expected = 0.611 * Math.PI * 1e-6 / 4 * Math.sqrt(2 * 50e5 / 870);
+    assertClose(result.flow.value, expected, 1e-6);
+    assertClose(result.reynolds.value, 4 * 870 * result.flow.value / (Math.PI * 1e-3 * 0.04));
+  });
+
+  test("the three solve modes agree, also at low Reynolds numbers", () => {
+    const viscous = { density: fluid.density, dynamicViscosity: new Quantity(0.5, "Pa*s") };
+    const flow = calc.orificeFlow({ ...viscous, solveFor: "flow", diameter: new Quantity(0.5, "mm"), pressureDrop: new Quantity(1, "bar") });
+    assert.ok(flow.dischargeCoefficient.value < 0.5);
+    const diameter = calc.orificeFlow({ ...viscous, solveFor: "diameter", flow: flow.flow, pressureDrop: new Quantity(1, "bar") });
+    assertClose(diameter.diameter.to("mm").value, 0.5, 1e-6);
+    const drop = calc.orificeFlow({ ...viscous, solveFor: "pressureDrop", flow: flow.flow, diameter: new Quantity(0.5, "mm") });
+    assertClose(drop.pressureDrop.to("bar").value, 1, 1e-6);
+  });
+
+  test("carries the input uncertainties into every solve mode", () => {
+    const flow = calc.orificeFlow({ ...fluid, solveFor: "flow", diameter: new Quantity(1, "mm"), pressureDrop: new Quantity(50, "bar", 5) });
+    assertClose(flow.flow.relativeUncertainty, 0.05, 0.05);
+    const diameter = calc.orificeFlow({ ...fluid, solveFor: "diameter", flow: new Quantity(3, "L/min", 0.3), pressureDrop: new Quantity(50, "bar") });
+    assert.ok(diameter.diameter.relativeUncertainty > 0.02);
+    const drop = calc.orificeFlow({ ...fluid, solveFor: "pressureDrop", flow: new Quantity(3, "L/min"), diameter: new Quantity(1, "mm", 0.05) });
+    assertClose(drop.pressureDrop.relativeUncertainty, 0.2, 0.05);
+  });
+});
+
+describe("tank residence time", () => {
+  test("t = V/Q, the rule volume holds the rule's minutes of flow, RKT/RFT reduces it", () => {
+    const result = calc.tankResidence({ flow: new Quantity(60, "L/min"), oilVolume: new Quantity(180, "L") });
+    assertClose(result.residenceTime.value, 3);
+    assertClose(result.ruleVolume.value, 180);
+    assertClose(result.reducedVolume.value, 180 / 1.43);
+    assertClose(result.volumeSaved.value, 180 - 180 / 1.43);
+  });
+
+  test("a reduction factor divides the rule volume", () => {
+    const result = calc.tankResidence({ flow: new Quantity(60, "L/min"), ruleMinutes: 5, reduction: 2.5 });
+    assert.equal(result.residenceTime, null);
+    assertClose(result.ruleVolume.value, 300);
+    assertClose(result.reducedVolume.value, 120);
+    assertClose(result.volumeSaved.value, 180);
+  });
+});
+
+describe("thermal expansion", () => {
+  const system = { volume: new Quantity(200, "L"), fillTemperature: new Quantity(15, "C"), maxTemperature: new Quantity(65, "C") };
+
+  test("manual mode: V_max = V·(1 + β·ΔT), level rise = ΔV / footprint", () => {
+    const result = calc.oilThermalExpansion({ ...system, coefficient: 7e-4, footprint: new Quantity(0.5, "m^2") });
+    assertClose(result.expandedVolume.value, 200 * (1 + 7e-4 * 50));
+    assertClose(result.expansion.value, 7);
+    assert.equal(result.expansion.unit, "L");
+    assertClose(result.levelRise.value, 7e-3 / 0.5);
+    assertClose(result.coefficient, 7e-4);
+  });
+
+  test("fluid mode uses the density ratio", async () => {
+    await calc.OilProps.loadFluidData();
+    const result = calc.oilThermalExpansion({ ...system, fluid: "Shell Tellus S2 MX 46" });
+    assertClose(result.expandedVolume.value, 200 / (1 - 0.00065 * 50));
+  });
+
+  test("carries the volume and temperature uncertainties into ΔV and the level rise", async () => {
+    await calc.OilProps.loadFluidData();
+    const uncertain = {
+      volume: new Quantity(200, "L", 10),
+      fillTemperature: new Quantity(15, "C", 2),
+      maxTemperature: new Quantity(65, "C", 2),
+      footprint: new Quantity(0.5, "m^2")
+    };
+    const manual = calc.oilThermalExpansion(uncertain);
+    assertClose(manual.expansion.relativeUncertainty, Math.hypot(0.05, Math.SQRT2 * 2 / 50), 1e-6);
+    assertClose(manual.levelRise.relativeUncertainty, manual.expansion.relativeUncertainty);
+    const fluid = calc.oilThermalExpansion({ ...uncertain, fluid: "Shell Tellus S2 MX 46" });
+    assert.ok(fluid.expansion.relativeUncertainty > 0.05);
+  });
+});
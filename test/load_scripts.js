@@ -0,0 +1,55 @@
+// Load the browser scripts from public/scripts into one sandbox, the way the tool pages do
+import fs from "node:fs";
+import path from "node:path";
+import vm from "node:vm";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "public");
+
+/**
+ * Run classic scripts in a shared context with the browser globals they use.
+ * Globals the scripts export through `window.X = X` are properties of the returned context;
+ * top-level constants can be read with `vm.runInContext(name, context)`.
+ *
+ * @param {...string} files - Paths relative to public/scripts, loaded in order
+ * @returns {Object} The sandbox's global object
+ */
+export function loadScripts(...files) {
+  const store = {};
+  const context = {
+    console, Math, JSON, setTimeout, URLSearchParams,
+    location: { pathname: "/tools/unit_conversion", search: "" },
+    // OilProps fetches its JSON from the site root
+    fetch: async url => ({
+      ok: true,
+      json: async () => JSON.parse(fs.readFileSync(path.join(PUBLIC_DIR, url), "utf8"))
+    }),
+    localStorage: {
+      getItem: key => (key in store ? store[key] : null),
+      setItem: (key, value) => { store[key] = String(value); },
+      removeItem: key => { delete store[key]; }
+    },
+    // calculators.js waits for DOMContentLoaded, which never fires here
+    document: { readyState: "loading", addEventListener() {} }
+  };
+  context.window = context;
+  vm.createContext(context);
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(PUBLIC_DIR, "scripts", file), "utf8"), context, { filename: file });
+  }
+  return context;
+}
+
+/**
+ * Assert that a number matches an expected value within a relative tolerance.
+ *
+ * @param {number} actual
+ * @param {number} expected
+ * @param {number} [tolerance=1e-9] - Relative tolerance (absolute when expected is 0)
+ */
+export function assertClose(actual, expected, tolerance = 1e-9) {
+  const scale = expected === 0 ? 1 : Math.abs(expected);
+  assert.ok(Math.abs(actual - expected) <= tolerance * scale,
+    `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
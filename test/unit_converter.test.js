@@ -0,0 +1,374 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import vm from "node:vm";
+import { loadScripts, assertClose } from "./load_scripts.js";
+
+const converter = loadScripts("unit_converter.js");
+const { convertUnit, parseUnitExpression } = converter;
+
+describe("unit categories", () => {
+  test("converts velocity, power, mass, energy, torque, angle and time", () => {
+    assertClose(convertUnit("km/h", "m/s", 36), 10);
+    assertClose(convertUnit("hp", "kW", 1), 0.74569987);
+    assertClose(convertUnit("lb", "kg", 1), 0.45359237);
+    assertClose(convertUnit("kWh", "MJ", 1), 3.6);
+    assertClose(convertUnit("lbf*ft", "N*m", 1), 1.35581795);
+    assertClose(convertUnit("deg", "rad", 180), Math.PI);
+    assertClose(convertUnit("h", "min", 1.5), 90);
+  });
+
+  test("lists every unit of a category", () => {
+    for (const [type, unit] of [["velocity", "ft/s"], ["power", "BTU/h"], ["mass", "oz"], ["energy", "kcal"],
+                                ["torque", "kgf*m"], ["angle", "grad"], ["time", "day"]]) {
+      assert.ok(converter.getAvailableUnits(type).includes(unit), `${type} lacks ${unit}`);
+    }
+  });
+});
+
+describe("compound unit expressions", () => {
+  test("converts products, quotients and powers of table units", () => {
+    assertClose(convertUnit("kN*m", "N*m", 2), 2000);
+    assertClose(convertUnit("bar/(L/min)^2", "Pa/(m^3/s)^2", 1), 1e5 * 3600 / 1e-6);
+    assertClose(convertUnit("µm", "mm", 25), 0.025);
+    assertClose(convertUnit("mm²", "m^2", 1e6), 1);
+  });
+
+  test("rejects incompatible dimensions", () => {
+    assert.throws(() => convertUnit("kg/s", "m/s", 1), /Unsupported conversion/);
+  });
+
+  test("measures rev, rpm and Hz in the same cycle (2π rad)", () => {
+    assertClose(convertUnit("rpm", "Hz", 60), 1);
+    assertClose(convertUnit("rev/s", "Hz", 1), 1);
+    assertClose(convertUnit("Hz", "rpm", 1), 60);
+    assertClose(convertUnit("kHz", "rev/min", 1), 60000);
+  });
+
+  test("keeps plain frequencies in cycles and refuses to drop other angles", () => {
+    assertClose(convertUnit("Hz", "1/s", 1), 1);
+    assertClose(convertUnit("1/min", "Hz", 1), 1 / 60);
+    assertClose(convertUnit("rpm", "1/min", 1), 1);
+    assertClose(convertUnit("rad/s", "Hz", 2 * Math.PI), 1);
+    assert.throws(() => convertUnit("cm^3/rev*bar", "N*m", 1), /Unsupported conversion/);
+    assert.throws(() => convertUnit("N*m*rpm", "W", 1), /Unsupported conversion/);
+    assert.throws(() => convertUnit("rad", "1", 1), /Unsupported conversion/);
+  });
+});
+
+describe("density-aware conversion", () => {
+  test("bridges mass and volumetric flow with the density", () => {
+    assertClose(convertUnit("kg/min", "L/min", 87, { density: 870 }), 100);
+    assertClose(convertUnit("L/min", "kg/h", 100, { density: 0.87, densityUnit: "g/cm^3" }), 5220);
+    assertClose(convertUnit("cSt", "Pa*s", 46, { density: 870 }), 0.04002);
+  });
+
+  test("asks for a density when none is given", () => {
+    assert.throws(() => convertUnit("kg/min", "L/min", 1), /density is required/);
+  });
+});
+
+describe("viscosity scales", () => {
+  test("matches the ASTM D2161 SUS table", () => {
+    assertClose(convertUnit("cSt", "SUS", 2), 32.62, 1e-3);
+    assertClose(convertUnit("cSt", "SUS", 100), 463.5, 1e-3);
+  });
+
+  test("uses the Ubbelohde relation for Engler degrees", () => {
+    assertClose(convertUnit("°E", "cSt", 2), 7.32 * 2 - 6.31 / 2);
+  });
+
+  test("round-trips through cSt", () => {
+    for (const unit of ["SUS", "SFS", "°E", "RI"]) {
+      assertClose(convertUnit(unit, "cSt", convertUnit("cSt", unit, 500)), 500, 1e-6);
+    }
+  });
+
+  test("returns NaN below a scale's range without logging per value", () => {
+    const warnings = [];
+    const original = converter.console;
+    converter.console = { ...original, warn: (...args) => warnings.push(args) };
+    try {
+      assert.ok(Number.isNaN(convertUnit("SUS", "cSt", 20)));
+      assert.ok(Number.isNaN(convertUnit("cSt", "SFS", 1)));
+    } finally {
+      converter.console = original;
+    }
+    assert.equal(warnings.length, 0);
+  });
+});
+
+describe("gauge and absolute pressure", () => {
+  test("offsets gauge and absolute readings by the atmosphere", () => {
+    assertClose(convertUnit("barg", "bara", 10), 11.01325);
+    assertClose(convertUnit("psia", "psig", 14.7), 14.7 - 101325 / 6894.76);
+    assertClose(convertUnit("barg", "bara", 0, { atmosphericPressure: 1, atmosphericPressureUnit: "bar" }), 1);
+  });
+
+  test("reads a plain unit in the other side's reference, prefixed or compound", () => {
+    assertClose(convertUnit("bar", "barg", 10), 10);
+    assertClose(convertUnit("mbar", "barg", 500), 0.5);
+    assertClose(convertUnit("kbar", "MPa(a)", 1), 100);
+    assertClose(convertUnit("psig", "N/mm^2", 145.0377), 1, 1e-6);
+    assertClose(convertUnit("barg", "mbar", 2), 2000);
+  });
+
+  test("rejects a gauge unit paired with a non-pressure", () => {
+    assert.throws(() => convertUnit("barg", "mm", 1));
+  });
+});
+
+describe("temperature differences", () => {
+  test("converts differences without the scale offset", () => {
+    assertClose(convertUnit("ΔC", "ΔF", 10), 18);
+    assertClose(convertUnit("ΔR", "ΔK", 9), 5);
+    assertClose(convertUnit("C", "F", 10), 50);
+    assertClose(convertUnit("R", "K", 491.67), 273.15);
+  });
+
+  test("keeps absolute and difference units apart", () => {
+    assert.throws(() => convertUnit("C", "ΔC", 10));
+    assertClose(convertUnit("W/(m^2*ΔK)", "BTU/(h*ft^2*ΔF)", 5.678263), 1, 1e-6);
+  });
+});
+
+describe("Quantity", () => {
+  const { Quantity } = converter;
+
+  test("subtracting absolute temperatures gives a temperature difference", () => {
+    const rise = new Quantity(60, "C").subtract(new Quantity(25, "C"));
+    assert.equal(rise.unit, "ΔC");
+    assertClose(rise.to("ΔK").value, 35);
+    const mixed = new Quantity(140, "F").subtract(new Quantity(25, "C"));
+    assert.equal(mixed.unit, "ΔF");
+    assertClose(mixed.to("ΔK").value, 35);
+    assert.throws(() => rise.to("K"));
+  });
+
+  test("an absolute temperature plus or minus a difference stays absolute", () => {
+    const warm = new Quantity(20, "C").add(new Quantity(9, "ΔF"));
+    assert.equal(warm.unit, "C");
+    assertClose(warm.value, 25);
+    assert.equal(new Quantity(300, "K").subtract(new Quantity(10, "ΔC")).unit, "K");
+  });
+});
+
+describe("batch conversion", () => {
+  const { parseDelimitedText, splitBatchHeader, convertBatchRows, formatBatchText } = converter;
+  // Arrays built inside the script sandbox have that realm's prototypes
+  const plain = value => JSON.parse(JSON.stringify(value));
+
+  test("detects tab, semicolon and comma delimiters", () => {
+    assert.deepEqual(plain(parseDelimitedText("Flow\tPressure\n10\t200\n")), [["Flow", "Pressure"], ["10", "200"]]);
+    assert.deepEqual(plain(parseDelimitedText("Flow;Pressure\r\n10,5;200")), [["Flow", "Pressure"], ["10,5", "200"]]);
+    assert.deepEqual(plain(parseDelimitedText("Flow, Pressure\n\n10, 200")), [["Flow", "Pressure"], ["10", "200"]]);
+    assert.deepEqual(plain(parseDelimitedText("  \n")), []);
+  });
+
+  test("keeps delimiters and quotes inside quoted cells", () => {
+    assert.deepEqual(plain(parseDelimitedText('Tag,Flow\n"P1, main",10\n"12"" hose",5')),
+      [["Tag", "Flow"], ["P1, main", "10"], ['12" hose', "5"]]);
+  });
+
+  test("names the columns from the header row or by position", () => {
+    const rows = [["Flow", ""], ["10", "200", "A1"]];
+    assert.deepEqual(plain(splitBatchHeader(rows, true)), { names: ["Flow", "Column 2", "Column 3"], rows: [["10", "200", "A1"]] });
+    assert.deepEqual(plain(splitBatchHeader(rows, false)).names, ["Column 1", "Column 2", "Column 3"]);
+    assert.equal(rows.length, 2);
+  });
+
+  test("converts each configured column with its own units", () => {
+    const rows = [["10", "100", "A1"], ["2", "", "B2"]];
+    const { results, errorCells, converted } = convertBatchRows(rows, [
+      { from: "gpm", to: "L/min" },
+      { from: "psi", to: "bar" },
+      null
+    ]);
+    assert.deepEqual(plain(results), [["37.8541", "6.89476", "A1"], ["7.57082", "", "B2"]]);
+    assert.equal(errorCells.size, 0);
+    assert.equal(converted, 3);
+  });
+
+  test("flags cells that are not numbers or cannot be converted", () => {
+    const { results, errorCells, converted } = convertBatchRows([["n/a", "5"]], [
+      { from: "bar", to: "psi" },
+      { from: "bar", to: "L/min" }
+    ]);
+    assert.deepEqual(plain(results), [["n/a", "Error"]]);
+    assert.deepEqual([...errorCells], ["0:0", "0:1"]);
+    assert.equal(converted, 0);
+  });
+
+  test("exports a header tagged with the target units and quotes cells as needed", () => {
+    const columns = [null, { from: "gpm", to: "L/min" }];
+    const results = [["P1, main", "37.8541"], ['12" hose', "18.92705"]];
+    assert.equal(formatBatchText(["Tag", "Flow"], results, columns, ","),
+      'Tag,Flow [L/min]\n"P1, main",37.8541\n"12"" hose",18.92705');
+    assert.equal(formatBatchText(["Tag", "Flow"], results, columns, "\t"),
+      'Tag\tFlow [L/min]\nP1, main\t37.8541\n"12"" hose"\t18.92705');
+    // The export reads back to the same cells
+    assert.deepEqual(plain(parseDelimitedText(formatBatchText(["Tag", "Flow"], results, columns, ","))).slice(1), results);
+  });
+});
+
+describe("uncertainty and significant figures", () => {
+  const { formatSignificant, parseMeasurement, convertUnitWithUncertainty, Quantity } = converter;
+
+  test("rounds the uncertainty to two figures and the value to match", () => {
+    assert.equal(formatSignificant(2.03718), "2.037");
+    assert.equal(formatSignificant(45.92, 4.592), "45.9 ± 4.6");
+    assert.equal(formatSignificant(0.0000412, 4e-6), "4.12e-5 ± 4.0e-6");
+  });
+
+  test("reads absolute and percent uncertainties", () => {
+    const absolute = parseMeasurement("46 +/- 2");
+    assert.equal(absolute.value, 46);
+    assert.equal(absolute.uncertainty, 2);
+    assertClose(parseMeasurement("46 ±10%").uncertainty, 4.6);
+    assert.equal(parseMeasurement("abc"), null);
+  });
+
+  test("converts the uncertainty through offset and non-linear scales", () => {
+    const fahrenheit = convertUnitWithUncertainty("C", "F", 40, 0.5);
+    assertClose(fahrenheit.value, 104);
+    assertClose(fahrenheit.uncertainty, 0.9);
+    const sus = convertUnitWithUncertainty("cSt", "SUS", 46, 4.6);
+    assertClose(sus.uncertainty, (convertUnit("cSt", "SUS", 50.6) - convertUnit("cSt", "SUS", 41.4)) / 2);
+  });
+
+  test("adds relative uncertainties of a product in quadrature", () => {
+    const power = new Quantity(200, "bar", 6).multiply(new Quantity(60, "L/min", 2.4)).to("kW");
+    assertClose(power.value, 20);
+    assertClose(power.relativeUncertainty, Math.hypot(0.03, 0.04));
+  });
+
+  test("adds the uncertainties of a difference in quadrature", () => {
+    const rise = new Quantity(60, "C", 1).subtract(new Quantity(25, "C", 1));
+    assertClose(rise.value, 35);
+    assertClose(rise.uncertainty, Math.SQRT2);
+  });
+});
+
+describe("number locale", () => {
+  const { setNumberLocale, parseLocaleNumber, formatLocaleNumber, formatSignificant, getCsvDelimiter, parseDelimitedText, convertBatchRows } = converter;
+
+  test("reads either decimal mark and the locale's grouping", () => {
+    assert.equal(parseLocaleNumber("46,5"), 46.5);
+    assert.equal(parseLocaleNumber("1,234.5"), 1234.5);
+    assert.equal(parseLocaleNumber("1.000"), 1);
+    setNumberLocale("de-DE");
+    try {
+      assert.equal(parseLocaleNumber("1.234,5"), 1234.5);
+      assert.equal(parseLocaleNumber("1.000"), 1000);
+    } finally {
+      setNumberLocale("auto");
+    }
+    assert.ok(Number.isNaN(parseLocaleNumber("4x")));
+  });
+
+  test("writes the locale's decimal separator and CSV delimiter", () => {
+    assert.equal(formatLocaleNumber(46.5, 2), "46.50");
+    assert.equal(getCsvDelimiter(), ",");
+    setNumberLocale("de-DE");
+    try {
+      assert.equal(formatLocaleNumber(46.5, 2), "46,50");
+      assert.equal(formatSignificant(45.92, 4.592), "45,9 ± 4,6");
+      assert.equal(getCsvDelimiter(), ";");
+    } finally {
+      setNumberLocale("auto");
+    }
+  });
+
+  test("reads and writes batch text in the locale", () => {
+    setNumberLocale("de-DE");
+    try {
+      // Where "," is the decimal separator, a line without tabs or semicolons is a single column
+      const rows = parseDelimitedText("10,5\n20,25");
+      assert.equal(JSON.stringify(rows), '[["10,5"],["20,25"]]');
+      assert.equal(convertBatchRows(rows, [{ from: "bar", to: "kPa" }]).results[0][0], "1050");
+      assert.equal(convertBatchRows([["1,5"]], [{ from: "m", to: "mm" }]).results[0][0], "1500");
+      assert.equal(convertBatchRows([["1500"]], [{ from: "mm", to: "m" }]).results[0][0], "1,5");
+    } finally {
+      setNumberLocale("auto");
+    }
+  });
+});
+
+describe("custom units", () => {
+  const { defineCustomUnit, removeCustomUnit } = converter;
+
+  test("converts within the category and inside compound expressions", () => {
+    defineCustomUnit("igph", 1, "gal(UK)/h", undefined, false);
+    try {
+      assertClose(convertUnit("igph", "L/h", 10), 45.4609);
+      assertClose(convertUnit("igph*h", "L", 1), 4.54609);
+      assertClose(convertUnit("L", "igph*h", convertUnit("igph*h", "L", 3)), 3);
+    } finally {
+      removeCustomUnit("igph", false);
+    }
+  });
+
+  test("refuses names that already resolve, prefixed built-ins included", () => {
+    for (const name of ["mbar", "kW", "MPa", "psig", "SSU", "gpm", "m^2"]) {
+      assert.throws(() => defineCustomUnit(name, 5, "Pa", undefined, false), /already a built-in unit|without spaces or operators/, name);
+    }
+    assertClose(convertUnit("mbar", "Pa", 1), 100);
+  });
+});
+
+describe("unit system preference", () => {
+  const { setUnitSystem, setCustomSystemUnit, getPreferredUnit } = converter;
+
+  test("Imperial picks its unit unless the page default already belongs to it", () => {
+    setUnitSystem("Imperial");
+    try {
+      assert.equal(getPreferredUnit("flow", "L/min"), "gpm");
+      assert.equal(getPreferredUnit("flow", "gal/h"), "gal/h");
+      assert.equal(getPreferredUnit("angle", "deg"), "deg");
+    } finally {
+      setUnitSystem("default");
+    }
+    assert.equal(getPreferredUnit("flow", "L/min"), "L/min");
+  });
+
+  test("a custom system uses the unit chosen per type", () => {
+    setUnitSystem("custom");
+    try {
+      setCustomSystemUnit("flow", "gal/h");
+      assert.equal(getPreferredUnit("flow", "L/min"), "gal/h");
+      assert.equal(getPreferredUnit("pressure", "bar"), "bar");
+      assert.throws(() => setCustomSystemUnit("flow", "bar"), /not a flow unit/);
+    } finally {
+      setCustomSystemUnit("flow", null);
+      setUnitSystem("default");
+    }
+    assert.throws(() => setUnitSystem("metric"), /Unknown unit system/);
+  });
+});
+
+describe("displacement", () => {
+  const { defineCustomUnit, removeCustomUnit } = converter;
+  const displacementFactors = vm.runInContext("displacementFactors", converter);
+
+  test("table factors are relative to SI, like the parser's", () => {
+    for (const [unit, factor] of Object.entries(displacementFactors)) {
+      assertClose(parseUnitExpression(unit).factor, factor);
+    }
+  });
+
+  test("converts between table units and through compound expressions", () => {
+    assertClose(convertUnit("in^3/rev", "cm^3/rev", 1), 16.387064);
+    assertClose(convertUnit("L/rev", "cc/rev", 0.045), 45);
+    assertClose(convertUnit("cm^3/rev*rpm", "L/min", 45 * 1500), 67.5);
+  });
+
+  test("custom units can be defined per revolution", () => {
+    defineCustomUnit("myDisp", 2, "cm^3/rev", undefined, false);
+    try {
+      assertClose(convertUnit("myDisp", "cc/rev", 1), 2);
+      assertClose(convertUnit("myDisp*rpm", "L/min", 1000), 2);
+      assertClose(convertUnit("myDisp*bar", "N*m/rad", 1), 2e-6 * 1e5 / (2 * Math.PI));
+    } finally {
+      removeCustomUnit("myDisp", false);
+    }
+  });
+});